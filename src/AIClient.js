@@ -1,26 +1,225 @@
 const axios = require("axios");
 const fs = require("fs").promises;
 const path = require("path");
+const NDJSONParser = require("./NDJSONParser");
+const ProfileStore = require("./ProfileStore");
+const RateLimiter = require("./RateLimiter");
+const ReasoningParser = require("./ReasoningParser");
+const ResponseCache = require("./ResponseCache");
+const ResponseStream = require("./ResponseStream");
+const RetryPolicy = require("./RetryPolicy");
+const SSEParser = require("./SSEParser");
+const StructuredOutput = require("./StructuredOutput");
+const Summarizer = require("./Summarizer");
+const TemplateEngine = require("./TemplateEngine");
+const TokenEstimator = require("./TokenEstimator");
+const ToolRegistry = require("./ToolRegistry");
+const UsageLedger = require("./UsageLedger");
+const { formats } = require("./adapters");
+const {
+  AbortError,
+  AIClientError,
+  APIError,
+  ContextLengthError,
+  NetworkError,
+  RequestError,
+  StreamError,
+  TimeoutError,
+  ToolError,
+  ValidationError,
+} = require("./errors");
+const { addUsage } = require("./usage");
+
+// Options handled by the client itself, never sent to the API
+const CLIENT_OPTIONS = [
+  "retry",
+  "signal",
+  "tools",
+  "maxToolIterations",
+  "onToolCall",
+  "cache",
+  "refresh",
+  "template",
+  "contextStrategy",
+  "priority",
+  "tag",
+  "command",
+  "jsonSchema",
+  "onWarning",
+];
+
+// Tokens kept free for the answer when no max_tokens is given
+const DEFAULT_OUTPUT_RESERVE = 1024;
+
+// What to do when a prompt does not fit the model's context window
+const CONTEXT_STRATEGIES = ["warn", "truncate", "error", "off"];
+
+// Settings that belong to one provider of a fallback chain; the rest of the
+// client config is shared by all providers
+const PROVIDER_FIELDS = [
+  "apiFormat",
+  "baseUrl",
+  "token",
+  "model",
+  "embeddingModel",
+  "anthropicVersion",
+  "timeout",
+];
+
+// Settings a `providers` entry takes from its profile
+const CONNECTION_FIELDS = ["apiFormat", "baseUrl", "token", "model"];
+
+// Request properties a routing rule can match
+const ROUTE_CRITERIA = ["template", "command", "tag"];
+
+// Whether a value matches a routing pattern: a name, a "prefix*" or a list
+function matchesRoute(value, pattern) {
+  if (Array.isArray(pattern)) {
+    return pattern.some((item) => matchesRoute(value, item));
+  }
+  if (value === undefined) return false;
+  return pattern.endsWith("*")
+    ? value.startsWith(pattern.slice(0, -1))
+    : value === pattern;
+}
+
+// Default number of tool-call rounds before chat() gives up
+const DEFAULT_MAX_TOOL_ITERATIONS = 10;
+
+// Scale a vector to unit length, so cosine similarity is a dot product
+function normalizeVector(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map((value) => value / norm);
+}
 
 class AIClient {
   constructor(config = {}) {
+    // Named profile - the `profile` option, then AI_PROFILE. Its settings
+    // take precedence over environment variables, and explicit config over
+    // both. The default profile of config.json is left to the CLI;
+    // `profile: false` ignores profiles.
+    const named =
+      config.profile !== false && (config.profile || process.env.AI_PROFILE);
+    if (named) {
+      const profile = new ProfileStore().resolve(named);
+      this.profile = profile.name;
+      // An option set to undefined does not hide the profile's value
+      const explicit = Object.fromEntries(
+        Object.entries(config).filter(([, value]) => value !== undefined),
+      );
+      config = { ...profile.config, ...explicit };
+    }
+
+    // Provider fallback chain - profile names or provider settings, tried in
+    // order. The first provider configures this client.
+    const providers = (
+      config.providers ||
+      process.env.AI_PROVIDERS?.split(",").map((name) => name.trim()) ||
+      []
+    ).map((provider) => AIClient._resolveProvider(provider));
+    if (providers.length > 0) {
+      config = { ...config, ...providers[0].config };
+    }
+
+    // Settings shared with the clients of other providers (fallbacks and
+    // routing targets)
+    this._sharedConfig = { ...config };
+    for (const field of [
+      ...PROVIDER_FIELDS,
+      "profile",
+      "providers",
+      "routes",
+    ]) {
+      delete this._sharedConfig[field];
+    }
+
     this.baseUrl = config.baseUrl || process.env.BASE_URL;
     this.token = config.token || process.env.API_KEY;
     this.model = config.model || process.env.MODEL;
+    this.embeddingModel = config.embeddingModel || process.env.EMBEDDING_MODEL;
     this.timeout = config.timeout || parseInt(process.env.TIMEOUT);
+    this.anthropicVersion =
+      config.anthropicVersion || process.env.ANTHROPIC_VERSION || "2023-06-01";
 
-    // Determine API format - default to DeepSeek
-    this.apiFormat = config.apiFormat || process.env.API_FORMAT || "deepseek";
+    // Determine API format - explicit setting, then auto-detection based on
+    // the base URL, then DeepSeek
+    this.apiFormat = (
+      config.apiFormat ||
+      process.env.API_FORMAT ||
+      formats.detect(this.baseUrl) ||
+      "deepseek"
+    ).toLowerCase();
+    this.adapter = formats.get(this.apiFormat);
 
-    // Auto-detect API format based on base URL if not explicitly set
-    if (!config.apiFormat && !process.env.API_FORMAT) {
-      if (
-        this.baseUrl &&
-        (this.baseUrl.includes("openai.com") ||
-          this.baseUrl.includes("api.openai"))
-      ) {
-        this.apiFormat = "openai";
-      }
+    // Retry settings - `retry: false` disables retries
+    this.retryConfig =
+      config.retry === false
+        ? { maxAttempts: 1 }
+        : { ...RetryPolicy.fromEnv(), ...config.retry };
+    this.retryPolicy = new RetryPolicy(this.retryConfig);
+
+    // Rate limits - `rateLimit` settings, or a RateLimiter instance shared by
+    // several clients; `rateLimit: false` ignores the RATE_LIMIT_* variables
+    if (config.rateLimit instanceof RateLimiter) {
+      this.rateLimiter = config.rateLimit;
+    } else if (config.rateLimit === false) {
+      this.rateLimiter = null;
+    } else {
+      const limits = { ...RateLimiter.fromEnv(), ...config.rateLimit };
+      this.rateLimiter =
+        Object.keys(limits).length > 0 ? new RateLimiter(limits) : null;
+    }
+
+    // Response cache - opt-in with `cache: true`, cache settings or a
+    // ResponseCache instance
+    if (config.cache instanceof ResponseCache) {
+      this.cache = config.cache;
+    } else if (config.cache) {
+      this.cache = new ResponseCache({
+        ...ResponseCache.fromEnv(),
+        ...(config.cache === true ? {} : config.cache),
+      });
+    } else {
+      this.cache = null;
+    }
+
+    // Context window checks - the strategy applies when a prompt (plus the
+    // room reserved for the answer) exceeds the model's context window.
+    // `onWarning` gets { code, message } for prompts that do not fit or were
+    // truncated; without it, prompts that do not fit emit a process warning.
+    this.onWarning = config.onWarning;
+    this.contextStrategy = (
+      config.contextStrategy ||
+      process.env.CONTEXT_STRATEGY ||
+      "warn"
+    ).toLowerCase();
+    if (!CONTEXT_STRATEGIES.includes(this.contextStrategy)) {
+      throw new Error(
+        `Invalid context strategy "${this.contextStrategy}". Use ${CONTEXT_STRATEGIES.join(", ")}`,
+      );
+    }
+    const contextLimits = { ...config.contextLimits };
+    if (process.env.CONTEXT_LIMIT && this.model && !contextLimits[this.model]) {
+      contextLimits[this.model] = parseInt(process.env.CONTEXT_LIMIT);
+    }
+    this.tokenEstimator = new TokenEstimator({ contextLimits });
+
+    // Prompt templates - strict mode throws on unresolved variables instead
+    // of leaving the placeholder in the prompt
+    this.templateEngine = new TemplateEngine({
+      strict: config.strictTemplates ?? process.env.TEMPLATE_STRICT === "true",
+    });
+
+    // Usage ledger - opt-in with `usageLedger: true`, ledger settings or a
+    // UsageLedger instance
+    if (config.usageLedger instanceof UsageLedger) {
+      this.usageLedger = config.usageLedger;
+    } else if (config.usageLedger) {
+      this.usageLedger = new UsageLedger(
+        config.usageLedger === true ? {} : config.usageLedger,
+      );
+    } else {
+      this.usageLedger = null;
     }
 
     if (!this.baseUrl) {
@@ -40,144 +239,698 @@ class AIClient {
       timeout: this.timeout,
       headers: {
         "Content-Type": "application/json",
-        Authorization: `Bearer ${this.token}`,
       },
     });
+
+    // Each fallback provider gets a client of its own that shares the cache
+    // and the usage ledger. A provider that keeps failing is skipped until
+    // its cooldown ends.
+    this.providers = null;
+    if (providers.length > 0) {
+      this.circuitBreaker = {
+        failureThreshold: 3,
+        cooldown: 30000,
+        ...config.circuitBreaker,
+      };
+      this.onFailover = config.onFailover;
+      this.providers = providers.map((provider, index) => ({
+        name: provider.name,
+        client:
+          index === 0
+            ? this
+            : this._createProviderClient({
+                ...provider.config,
+                profile: false,
+              }),
+        failures: 0,
+        openUntil: 0,
+      }));
+    }
+
+    // Routing rules - send requests for some templates, CLI commands or tags
+    // to another model or provider. From the config or the profile.
+    this.command = config.command;
+    this.tag = config.tag;
+    this.routes = config.routes || [];
+    for (const rule of this.routes) {
+      if (!rule.model && !rule.provider) {
+        throw new Error(
+          `Invalid routing rule ${JSON.stringify(rule)}: set a model or a provider`,
+        );
+      }
+    }
+    this._routeClients = {};
   }
 
   /**
-   * Generate a response from the model (supports both OpenAI and DeepSeek formats)
+   * Create the client of another provider, sharing this client's settings,
+   * cache and usage ledger
+   * @private
+   */
+  _createProviderClient(settings) {
+    return new AIClient({
+      ...this._sharedConfig,
+      providers: [],
+      routes: [],
+      cache: this.cache || false,
+      usageLedger: this.usageLedger || false,
+      ...settings,
+    });
+  }
+
+  /**
+   * Turn a `providers` entry (a profile name or provider settings) into a
+   * name and the provider's own settings
+   * @private
+   */
+  static _resolveProvider(provider) {
+    const settings =
+      typeof provider === "string"
+        ? new ProfileStore().resolve(provider).config
+        : provider;
+    const config = {};
+    for (const field of typeof provider === "string"
+      ? CONNECTION_FIELDS
+      : PROVIDER_FIELDS) {
+      if (settings[field] !== undefined) config[field] = settings[field];
+    }
+    return {
+      name:
+        typeof provider === "string"
+          ? provider
+          : provider.name || provider.baseUrl,
+      config,
+    };
+  }
+
+  /**
+   * Generate a response from the model (supports OpenAI, DeepSeek, Ollama and Anthropic formats)
    * @param {string} prompt - The prompt to send to the model
    * @param {object} options - Additional options
-   * @returns {Promise<object>} - The response from the model
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @param {Array<object>|ToolRegistry} options.tools - Tools the model may call ({ name, description, parameters, handler })
+   * @param {number} options.maxToolIterations - Maximum rounds of tool calls (default: 10)
+   * @param {function} options.onToolCall - Called after each tool call with { id, name, arguments, result, error, iteration, duration }
+   * @param {boolean} options.cache - Set to false to bypass the response cache
+   * @param {boolean} options.refresh - Skip the cached response and replace it
+   * @param {string} options.template - Template name recorded in the usage ledger and matched by routing rules
+   * @param {string} options.command - Command or task name matched by routing rules (default: the client's `command`)
+   * @param {string} options.tag - Tag matched by routing rules (default: the client's `tag`)
+   * @returns {Promise<object>} - The response from the model, with any reasoning split into `reasoning`, and the routing rule that picked the model in `route`
    */
   async generate(prompt, options = {}) {
+    return this.chat([{ role: "user", content: prompt }], options);
+  }
+
+  /**
+   * Send a multi-turn conversation to the model
+   * @param {Array<{role: string, content: string}>} messages - Role-tagged messages ('system', 'user', 'assistant' or 'tool')
+   * @param {object} options - Additional options (same as generate())
+   * @returns {Promise<object>} - The response from the model, in the same unified shape as generate()
+   */
+  async chat(messages, options = {}) {
+    const route = this._route(options);
+    if (route) {
+      // Routed requests are not routed again, even without a model to set
+      const response =
+        route.client === this
+          ? await this._chat(messages, route.options)
+          : await route.client.chat(messages, route.options);
+      return { ...response, route: route.rule };
+    }
+    return this._chat(messages, options);
+  }
+
+  /**
+   * Send a conversation without applying the routing rules
+   * @private
+   */
+  async _chat(messages, options) {
+    if (options.tools) {
+      return this._chatWithTools(messages, options);
+    }
+    return this._sendChat(messages, options);
+  }
+
+  /**
+   * Send one chat request, failing over to the next provider if needed
+   * @private
+   */
+  async _sendChat(messages, options) {
+    return this._withFailover(options, (client, providerOptions) =>
+      client._sendChatToProvider(messages, providerOptions),
+    );
+  }
+
+  /**
+   * Send one chat request to this client's server
+   * @private
+   */
+  async _sendChatToProvider(messages, options) {
     try {
-      const requestData = this._formatRequest(prompt, options);
+      // The cache key is the request as given; the context is only fitted
+      // (and reported) for a request that is actually sent
+      const requestData = this._formatRequest(messages, options);
       const endpoint = this._getEndpoint(options.stream);
 
-      const response = await this.client.post(endpoint, requestData);
-      return this._formatResponse(response.data);
-    } catch (error) {
-      if (error.response) {
-        const errorMessage = this._extractErrorMessage(error.response);
-        throw new Error(
-          `API Error: ${error.response.status} - ${errorMessage}`,
+      // A cached request is shared by identical calls, so it runs with the
+      // cache's signal instead of this caller's. Each attempt takes its own
+      // rate limit slot, so no slot is held while a retry waits.
+      const send = (signal = options.signal) => {
+        const fitted = this._fitContext(messages, options);
+        const data =
+          fitted === messages
+            ? requestData
+            : this._formatRequest(fitted, options);
+        const tokens = this._estimateRequestTokens(fitted, options);
+        return this._getRetryPolicy(options).execute(
+          () =>
+            this._limit({ ...options, signal }, tokens, async () => {
+              const startedAt = Date.now();
+              const response = await this.client.post(endpoint, data, {
+                headers: this._getHeaders(),
+                signal,
+              });
+              const result = this._formatResponse(response.data);
+              await this._recordUsage("chat", result, options, startedAt);
+              return result;
+            }),
+          { signal },
         );
-      } else if (error.request) {
-        throw new Error(
-          "Network Error: Unable to reach the server. Please check your connection and server URL." +
-            error.message,
-        );
-      } else {
-        throw new Error(`Request Error: ${error.message}`);
+      };
+
+      // Tool results can change between runs, so tool loops are not cached
+      if (!this.cache || options.cache === false || options.tools) {
+        return await send();
       }
+      const key = ResponseCache.fingerprint({
+        apiFormat: this.apiFormat,
+        baseUrl: this.baseUrl,
+        endpoint,
+        requestData,
+      });
+      const { value, cached } = await this.cache.wrap(key, send, {
+        refresh: options.refresh,
+        signal: options.signal,
+      });
+      return cached ? { ...value, cached: true } : value;
+    } catch (error) {
+      throw await this._toClientError(error, options);
     }
   }
 
   /**
-   * Generate a streaming response from the model (supports both OpenAI and DeepSeek formats)
+   * Generate a streaming response from the model (supports OpenAI, DeepSeek, Ollama and Anthropic formats)
    * @param {string} prompt - The prompt to send to the model
    * @param {function} onChunk - Callback function for each chunk
    * @param {object} options - Additional options
-   * @returns {Promise<void>}
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<object>} - The aggregated result ({ response, reasoning, model, usage, finish_reason })
    */
   async generateStream(prompt, onChunk, options = {}) {
+    return this.chatStream(
+      [{ role: "user", content: prompt }],
+      onChunk,
+      options,
+    );
+  }
+
+  /**
+   * Stream a multi-turn conversation from the model
+   * @param {Array<{role: string, content: string}>} messages - Role-tagged messages ('system', 'user' or 'assistant')
+   * @param {function} onChunk - Callback function for each chunk
+   * @param {object} options - Additional options
+   * @returns {Promise<object>} - The aggregated result ({ response, reasoning, model, usage, finish_reason })
+   */
+  async chatStream(messages, onChunk, options = {}) {
+    const route = this._route(options);
+    if (route) {
+      const result =
+        route.client === this
+          ? await this._chatStream(messages, onChunk, route.options)
+          : await route.client.chatStream(messages, onChunk, route.options);
+      return { ...result, route: route.rule };
+    }
+    return this._chatStream(messages, onChunk, options);
+  }
+
+  /**
+   * Stream a conversation without applying the routing rules
+   * @private
+   */
+  async _chatStream(messages, onChunk, options) {
+    // Once chunks have been delivered, switching providers would mix answers
+    let started = false;
+    return this._withFailover(
+      options,
+      (client, providerOptions) =>
+        client._streamFromProvider(
+          messages,
+          (chunk) => {
+            started = true;
+            onChunk(chunk);
+          },
+          providerOptions,
+        ),
+      () => !started,
+    );
+  }
+
+  /**
+   * Stream a conversation from this client's server
+   * @private
+   */
+  async _streamFromProvider(messages, onChunk, options) {
     try {
-      const requestData = this._formatRequest(prompt, {
+      if (options.tools) {
+        throw new Error("Tools are not supported with streaming; use chat()");
+      }
+      const fitted = this._fitContext(messages, options);
+      const requestData = this._formatRequest(fitted, {
         ...options,
         stream: true,
       });
       const endpoint = this._getEndpoint(true);
 
-      const response = await this.client.post(endpoint, requestData, {
-        responseType: "stream",
-      });
+      const tokens = this._estimateRequestTokens(fitted, options);
+
+      // Each attempt takes its own rate limit slot, and a stream keeps it
+      // until it ends. Only the initial request is retried, never a stream
+      // that has started.
+      let started = false;
+      return await this._getRetryPolicy(options).execute(
+        () =>
+          this._limit(options, tokens, async () => {
+            const startedAt = Date.now();
+            const response = await this.client.post(endpoint, requestData, {
+              headers: this._getHeaders(),
+              responseType: "stream",
+              signal: options.signal,
+            });
+            started = true;
+
+            const streamResult = await new Promise((resolve, reject) => {
+              const { signal } = options;
+              const parser = this._createStreamParser();
+              const reasoningParser = new ReasoningParser();
+              const result = {
+                response: "",
+                reasoning: "",
+                model: undefined,
+                usage: undefined,
+                finish_reason: undefined,
+              };
+              let settled = false;
+
+              const finish = (error) => {
+                if (settled) return;
+                settled = true;
+                if (error) {
+                  response.data.destroy();
+                  reject(error);
+                } else {
+                  resolve(result);
+                }
+              };
+
+              // Apply parsed events in order, stopping once the stream is settled
+              const handle = (events) => {
+                for (const event of events) {
+                  if (settled) return;
+                  try {
+                    const parsedChunk = this._parseStreamChunk(event);
+                    if (!parsedChunk) continue;
+
+                    const streamError =
+                      this.adapter.parseStreamError(parsedChunk);
+                    if (streamError) {
+                      finish(
+                        new StreamError(
+                          `Stream Error: ${streamError.message}`,
+                          {
+                            code: streamError.code,
+                            requestId: this.adapter.getRequestId(
+                              response.headers,
+                            ),
+                            body: parsedChunk._original || parsedChunk,
+                          },
+                        ),
+                      );
+                      return;
+                    }
 
-      return new Promise((resolve, reject) => {
-        let buffer = "";
-
-        response.data.on("data", (chunk) => {
-          buffer += chunk.toString();
-          const lines = buffer.split("\n");
-          buffer = lines.pop() || "";
-
-          for (const line of lines) {
-            if (line.trim()) {
-              try {
-                const parsedChunk = this._parseStreamChunk(line);
-                if (parsedChunk) {
-                  onChunk(parsedChunk);
-                  if (
-                    parsedChunk.done ||
-                    (this.apiFormat === "openai" &&
-                      parsedChunk.choices?.[0]?.finish_reason)
-                  ) {
-                    resolve();
-                    return;
+                    const done = this.adapter.isStreamDone(parsedChunk);
+                    this._splitReasoning(reasoningParser, parsedChunk, done);
+                    this._aggregateChunk(result, parsedChunk);
+                    onChunk(parsedChunk);
+                    if (done) {
+                      finish();
+                    }
+                  } catch (error) {
+                    finish(
+                      error instanceof SyntaxError
+                        ? new StreamError(
+                            `Stream Error: Invalid stream data (${error.message})`,
+                            { body: event, cause: error },
+                          )
+                        : error,
+                    );
                   }
                 }
-              } catch (parseError) {
-                // Skip invalid JSON lines
+              };
+
+              // Close the connection as soon as the caller loses interest
+              const onAbort = () => finish(this._createAbortError(signal));
+              if (signal) {
+                signal.addEventListener("abort", onAbort, { once: true });
+                response.data.on("close", () =>
+                  signal.removeEventListener("abort", onAbort),
+                );
               }
-            }
-          }
-        });
 
-        response.data.on("end", () => {
-          resolve();
-        });
+              // Decode as UTF-8 so multi-byte characters split across chunks survive
+              response.data.setEncoding("utf8");
 
-        response.data.on("error", (error) => {
-          reject(new Error(`Stream Error: ${error.message}`));
-        });
-      });
+              response.data.on("data", (text) => {
+                handle(parser.feed(text));
+              });
+
+              response.data.on("end", () => {
+                handle(parser.flush());
+                if (settled) return;
+
+                // Release text held back by the reasoning parser
+                const rest = { response: "", done: true };
+                this._splitReasoning(reasoningParser, rest, true);
+                if (rest.response || rest.reasoning) {
+                  this._aggregateChunk(result, rest);
+                  onChunk(rest);
+                }
+                finish();
+              });
+
+              response.data.on("error", (error) => {
+                if (signal?.aborted) {
+                  finish(this._createAbortError(signal, error));
+                  return;
+                }
+                finish(
+                  new StreamError(`Stream Error: ${error.message}`, {
+                    code: error.code,
+                    cause: error,
+                  }),
+                );
+              });
+            });
+
+            await this._recordUsage("stream", streamResult, options, startedAt);
+            return streamResult;
+          }),
+        { signal: options.signal, canRetry: () => !started },
+      );
     } catch (error) {
-      if (error.response) {
-        const errorMessage = this._extractErrorMessage(error.response);
-        throw new Error(
-          `API Error: ${error.response.status} - ${errorMessage}`,
+      throw await this._toClientError(error, options);
+    }
+  }
+
+  /**
+   * Run the tool-call loop: send the conversation, execute the tools the
+   * model asks for, and send the results back until it answers
+   * @private
+   */
+  async _chatWithTools(messages, options) {
+    const tools = ToolRegistry.from(options.tools);
+    const maxIterations =
+      options.maxToolIterations ?? DEFAULT_MAX_TOOL_ITERATIONS;
+    const conversation = [...messages];
+    let usage;
+
+    for (let iteration = 0; ; iteration++) {
+      const response = await this._sendChat(conversation, {
+        ...options,
+        tools,
+      });
+      usage = addUsage(usage, response.usage);
+
+      if (!response.tool_calls?.length) {
+        conversation.push({ role: "assistant", content: response.response });
+        return { ...response, usage, messages: conversation };
+      }
+      if (iteration >= maxIterations) {
+        throw new ToolError(
+          `Tool Error: The model was still calling tools after ${maxIterations} rounds`,
+          { code: "max_tool_iterations", body: response },
         );
-      } else if (error.request) {
-        throw new Error(
-          "Network Error: Unable to reach the server. Please check your connection and server URL.",
+      }
+
+      conversation.push({
+        role: "assistant",
+        content: response.response || "",
+        tool_calls: response.tool_calls,
+      });
+      for (const call of response.tool_calls) {
+        conversation.push(
+          await this._runToolCall(tools, call, iteration + 1, options),
         );
-      } else {
-        throw new Error(`Request Error: ${error.message}`);
       }
     }
   }
 
   /**
-   * Load a prompt template from the prompts directory
-   * @param {string} templateName - Name of the template file (without .txt extension)
-   * @returns {Promise<string>} - The template content
+   * Execute one tool call and build the tool message with its result.
+   * Handler errors are reported to the model rather than thrown.
+   * @private
    */
-  async loadPromptTemplate(templateName) {
-    const promptPath = path.join(
-      process.cwd(),
-      "prompts",
-      `${templateName}.txt`,
+  async _runToolCall(tools, call, iteration, options) {
+    const startedAt = Date.now();
+    let result;
+    let error;
+    try {
+      result = await tools.execute(call, { signal: options.signal });
+    } catch (e) {
+      error = e;
+    }
+
+    if (options.onToolCall) {
+      await options.onToolCall({
+        ...call,
+        result,
+        error,
+        iteration,
+        duration: Date.now() - startedAt,
+      });
+    }
+
+    return {
+      role: "tool",
+      tool_call_id: call.id,
+      name: call.name,
+      content: error ? `Error: ${error.message}` : result,
+    };
+  }
+
+  /**
+   * Stream a response as an async iterable of chunks
+   * @param {string|Array<{role: string, content: string}>} input - A prompt, or role-tagged messages as for chat()
+   * @param {object} options - Additional options (same as generate())
+   * @returns {ResponseStream} - Async iterable of chunks, with final() and toReadable()
+   */
+  stream(input, options = {}) {
+    const messages =
+      typeof input === "string" ? [{ role: "user", content: input }] : input;
+
+    return new ResponseStream(
+      (onChunk, signal) =>
+        this.chatStream(messages, onChunk, { ...options, signal }),
+      options.signal,
     );
+  }
+
+  /**
+   * Generate a JSON answer, validated against a JSON Schema.
+   * Invalid answers are sent back to the model with the problems found.
+   * @param {string|Array<{role: string, content: string}>} input - A prompt, or role-tagged messages as for chat()
+   * @param {object|null} schema - JSON Schema of the answer, or null for any JSON value
+   * @param {object} options - Additional options (same as generate())
+   * @param {number} options.maxRepairs - Re-prompts allowed after an invalid answer (default: 2)
+   * @returns {Promise<*>} - The parsed answer
+   */
+  async generateJSON(input, schema, options = {}) {
+    const { maxRepairs = 2, ...chatOptions } = options;
+    const output = new StructuredOutput(schema);
+    const messages = [
+      { role: "system", content: output.getInstructions() },
+      ...(typeof input === "string"
+        ? [{ role: "user", content: input }]
+        : input),
+    ];
+    // The JSON options are added by the client that sends the request, as
+    // routing and failover can pick a provider with another format
+    const requestOptions = {
+      jsonSchema: output.schema || true,
+      ...chatOptions,
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      const response = await this.chat(messages, requestOptions);
+      const { value, errors } = output.parse(response.response);
+      if (errors.length === 0) {
+        return value;
+      }
+      if (attempt >= maxRepairs) {
+        throw new ValidationError(
+          `Validation Error: The answer did not match the schema after ${attempt + 1} attempts: ${errors.join("; ")}`,
+          { errors, body: response.response },
+        );
+      }
+
+      messages.push(
+        { role: "assistant", content: response.response },
+        {
+          role: "user",
+          content:
+            "Your answer was not valid:\n" +
+            errors.map((error) => `- ${error}`).join("\n") +
+            "\nRespond again with only the corrected JSON.",
+        },
+      );
+    }
+  }
+
+  /**
+   * Create embeddings for one or more texts. Large inputs are split into
+   * batches that fit the endpoint.
+   * @param {string|string[]} input - Text, or list of texts
+   * @param {object} options - Additional options
+   * @param {string} options.model - Embedding model (default: EMBEDDING_MODEL, then the format's default)
+   * @param {number} options.batchSize - Maximum texts per request
+   * @param {boolean} options.normalize - Scale vectors to unit length (default: true)
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<{embeddings: number[][], embedding: number[], model: string, dimensions: number, usage: object}>} - `embedding` is set for a single text
+   */
+  async embed(input, options = {}) {
     try {
-      const content = await fs.readFile(promptPath, "utf8");
-      return content.trim();
-    } catch (error) {
-      if (error.code === "ENOENT") {
+      const inputs = Array.isArray(input) ? input : [input];
+      if (
+        inputs.length === 0 ||
+        inputs.some((text) => typeof text !== "string")
+      ) {
         throw new Error(
-          `Prompt template '${templateName}' not found. Create a file at prompts/${templateName}.txt`,
+          "Input must be a string or a non-empty array of strings",
         );
       }
-      throw new Error(`Error loading prompt template: ${error.message}`);
+      // Endpoints still to try; the one that worked is remembered
+      let endpoints =
+        this._embeddingEndpoints || this.adapter.getEmbeddingEndpoints();
+      if (endpoints.length === 0) {
+        throw new Error(
+          `The ${this.apiFormat} API format does not support embeddings`,
+        );
+      }
+
+      const { normalize = true, batchSize, ...requestOptions } = options;
+      for (const key of CLIENT_OPTIONS) {
+        delete requestOptions[key];
+      }
+      requestOptions.model =
+        options.model ||
+        this.embeddingModel ||
+        this.adapter.defaults.embeddingModel ||
+        this.model;
+
+      const startedAt = Date.now();
+      const result = {
+        embeddings: [],
+        model: requestOptions.model,
+        dimensions: 0,
+        usage: undefined,
+      };
+      for (let start = 0; start < inputs.length;) {
+        const [endpoint] = endpoints;
+        const size = Math.min(batchSize || Infinity, endpoint.batchSize);
+        const batch = inputs.slice(start, start + size);
+
+        let data;
+        try {
+          data = await this._postEmbeddings(
+            endpoint.path,
+            batch,
+            requestOptions,
+            options,
+          );
+        } catch (error) {
+          // Older servers lack the preferred endpoint; try the next one
+          if (endpoints.length > 1 && this._isMissingEndpoint(error)) {
+            endpoints = endpoints.slice(1);
+            continue;
+          }
+          throw error;
+        }
+        this._embeddingEndpoints = endpoints;
+
+        result.embeddings.push(...data.embeddings);
+        result.model = data.model || result.model;
+        result.usage = addUsage(result.usage, data.usage);
+        start += batch.length;
+      }
+
+      await this._recordUsage("embedding", result, options, startedAt);
+
+      if (normalize) {
+        result.embeddings = result.embeddings.map(normalizeVector);
+      }
+      result.dimensions = result.embeddings[0]?.length || 0;
+      if (!Array.isArray(input)) {
+        result.embedding = result.embeddings[0];
+      }
+      return result;
+    } catch (error) {
+      throw await this._toClientError(error, options);
     }
   }
 
+  /**
+   * Estimate the prompt tokens of a request and compare them with the
+   * model's context window
+   * @param {string|Array<{role: string, content: string}>} input - A prompt, or role-tagged messages as for chat()
+   * @param {object} options - Request options (model, max_tokens, and the template, command and tag that routing rules match)
+   * @returns {{tokens: number, model: string, limit: number|null, reserved: number, available: number|null, fits: boolean}} - `limit` is null for models with an unknown context window
+   */
+  estimateTokens(input, options = {}) {
+    const messages =
+      typeof input === "string" ? [{ role: "user", content: input }] : input;
+    const model = this.resolveModel(options);
+    const limit = this.tokenEstimator.getContextLimit(model);
+    const reserved = options.max_tokens ?? DEFAULT_OUTPUT_RESERVE;
+    const available = limit === null ? null : Math.max(0, limit - reserved);
+    const tokens = this.tokenEstimator.estimateMessages(messages, model);
+
+    return {
+      tokens,
+      model,
+      limit,
+      reserved,
+      available,
+      fits: available === null || tokens <= available,
+    };
+  }
+
+  /**
+   * Load a prompt template from the prompts directory, along with the
+   * partials it includes
+   * @param {string} templateName - Name of the template file (without .txt extension)
+   * @returns {Promise<string>} - The template content
+   */
+  async loadPromptTemplate(templateName) {
+    return this.templateEngine.load(templateName);
+  }
+
   /**
    * List available prompt templates
    * @returns {Promise<string[]>} - Array of template names
    */
   async listPromptTemplates() {
-    const promptsDir = path.join(process.cwd(), "prompts");
+    const promptsDir = this.templateEngine.getDir();
     try {
       const files = await fs.readdir(promptsDir);
       return files
@@ -198,7 +951,7 @@ class AIClient {
    * @returns {Promise<void>}
    */
   async savePromptTemplate(templateName, content) {
-    const promptsDir = path.join(process.cwd(), "prompts");
+    const promptsDir = this.templateEngine.getDir();
     const promptPath = path.join(promptsDir, `${templateName}.txt`);
 
     try {
@@ -210,15 +963,17 @@ class AIClient {
   }
 
   /**
-   * Replace placeholders in a template with actual values
+   * Render a template: placeholders, defaults, {{#if}} and {{#each}} blocks
+   * and partials (see TemplateEngine)
    * @param {string} template - Template string with {{placeholder}} syntax
    * @param {object} variables - Object with variable values
+   * @param {object} options - Render options
+   * @param {boolean} options.strict - Throw a TemplateError on unresolved variables (default: `strictTemplates`)
+   * @param {string} options.name - Template name for error messages
    * @returns {string} - Template with replaced variables
    */
-  replaceTemplateVariables(template, variables = {}) {
-    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-      return variables[key] !== undefined ? variables[key] : match;
-    });
+  replaceTemplateVariables(template, variables = {}, options = {}) {
+    return this.templateEngine.render(template, variables, options);
   }
 
   /**
@@ -226,12 +981,45 @@ class AIClient {
    * @param {string} templateName - Name of the template
    * @param {object} variables - Variables to replace in template
    * @param {object} options - Generation options
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @param {boolean} options.strict - Throw a TemplateError on unresolved variables (default: `strictTemplates`)
    * @returns {Promise<object>} - The response from the model
    */
   async generateFromTemplate(templateName, variables = {}, options = {}) {
+    const { strict, ...requestOptions } = options;
     const template = await this.loadPromptTemplate(templateName);
-    const prompt = this.replaceTemplateVariables(template, variables);
-    return this.generate(prompt, options);
+    const prompt = this.replaceTemplateVariables(template, variables, {
+      strict,
+      name: templateName,
+    });
+    return this.generate(prompt, { template: templateName, ...requestOptions });
+  }
+
+  /**
+   * Summarize content of any length: long content is split into overlapping
+   * chunks that are summarized in parallel, then merged with the `summarize`
+   * template. See Summarizer for the details.
+   * @param {string} content - Content to summarize
+   * @param {object} options - Summarization and generation options
+   * @param {object} options.variables - Template variables: type, length, audience, instructions
+   * @param {number} options.chunkTokens - Tokens per chunk
+   * @param {number} options.overlapTokens - Tokens shared by consecutive chunks (default: 200)
+   * @param {number} options.concurrency - Chunks summarized at the same time (default: 4)
+   * @param {boolean} options.resume - Continue an unfinished job for the same content (default: true)
+   * @param {function} options.onProgress - Called with { stage, level, done, total, resumed }
+   * @param {AbortSignal} options.signal - Cancels the job when aborted
+   * @returns {Promise<object>} - The final response, plus `parts`, `levels` and `resumed`
+   */
+  async summarize(content, options = {}) {
+    const { chunkTokens, overlapTokens, concurrency, template, ...rest } =
+      options;
+    const summarizer = new Summarizer(this, {
+      chunkTokens,
+      overlapTokens,
+      concurrency,
+      template,
+    });
+    return summarizer.summarize(content, rest);
   }
 
   /**
@@ -240,7 +1028,13 @@ class AIClient {
    */
   async testConnection() {
     try {
-      await this.generate("Test connection", { model: this.model });
+      // A single real request: no cached answer, retries or context fitting
+      await this.generate("Test connection", {
+        model: this.model,
+        cache: false,
+        retry: false,
+        contextStrategy: "off",
+      });
       return true;
     } catch (error) {
       return false;
@@ -253,9 +1047,13 @@ class AIClient {
    */
   async getServerInfo() {
     try {
-      const infoEndpoint =
-        this.apiFormat === "openai" ? "/v1/models" : "/api/info";
-      const response = await this.client.get(infoEndpoint);
+      const infoEndpoint = this.adapter.getInfoEndpoint();
+      if (!infoEndpoint) {
+        throw new Error("No info endpoint for this API format");
+      }
+      const response = await this.client.get(infoEndpoint, {
+        headers: this._getHeaders(),
+      });
       return response.data;
     } catch (error) {
       // If info endpoint doesn't exist, return basic info
@@ -272,37 +1070,146 @@ class AIClient {
    * Format request based on API format
    * @private
    */
-  _formatRequest(prompt, options = {}) {
-    const model = options.model || this.model;
-    const stream = options.stream || false;
+  _formatRequest(messages, options = {}) {
+    this._validateMessages(messages);
 
-    if (this.apiFormat === "openai") {
-      const requestData = {
-        model: model,
-        messages: [{ role: "user", content: prompt }],
-        stream: stream,
-      };
+    // JSON mode of generateJSON(), in this format's own request fields
+    const jsonOptions = options.jsonSchema
+      ? this.adapter.getJSONOptions(
+          options.jsonSchema === true ? undefined : options.jsonSchema,
+        )
+      : {};
+    const requestOptions = { ...jsonOptions, ...options };
+    for (const key of CLIENT_OPTIONS) {
+      delete requestOptions[key];
+    }
+    if (options.tools) {
+      if (!this.adapter.supportsTools) {
+        throw new Error(
+          `The ${this.apiFormat} API format does not support tools`,
+        );
+      }
+      requestOptions.tools = ToolRegistry.from(options.tools).getDefinitions();
+    }
+
+    return this.adapter.formatRequest(messages, {
+      ...requestOptions,
+      model: options.model || this.model,
+      stream: options.stream || false,
+    });
+  }
 
-      // Add optional OpenAI parameters
-      if (options.temperature !== undefined)
-        requestData.temperature = options.temperature;
-      if (options.max_tokens !== undefined)
-        requestData.max_tokens = options.max_tokens;
-      if (options.top_p !== undefined) requestData.top_p = options.top_p;
-      if (options.frequency_penalty !== undefined)
-        requestData.frequency_penalty = options.frequency_penalty;
-      if (options.presence_penalty !== undefined)
-        requestData.presence_penalty = options.presence_penalty;
-
-      return requestData;
+  /**
+   * Apply the context strategy to a conversation that does not fit the
+   * model's context window
+   * @private
+   */
+  _fitContext(messages, options) {
+    const strategy = (
+      options.contextStrategy || this.contextStrategy
+    ).toLowerCase();
+    if (strategy === "off") {
+      return messages;
+    }
+    this._validateMessages(messages);
+
+    const estimate = this.estimateTokens(messages, options);
+    if (estimate.fits) {
+      return messages;
+    }
+
+    const { tokens, model, limit, reserved, available } = estimate;
+    const message = `The prompt is about ${tokens} tokens, but ${model} only has room for ${available} (${limit} token context, ${reserved} reserved for the answer)`;
+    if (strategy === "error") {
+      throw new ContextLengthError(`Request Error: ${message}`, {
+        code: "context_length_exceeded",
+      });
+    }
+    const onWarning = options.onWarning || this.onWarning;
+    if (strategy === "truncate") {
+      const fitted = this.tokenEstimator.fit(messages, available, model);
+      onWarning?.({
+        code: "context_truncated",
+        message: `${message}. Truncated it to about ${fitted.tokens} tokens`,
+      });
+      return fitted.messages;
+    }
+    if (onWarning) {
+      onWarning({ code: "context_length_exceeded", message });
     } else {
-      // DeepSeek format (default)
-      return {
-        model: model,
-        prompt: prompt,
-        stream: stream,
-        ...options,
-      };
+      process.emitWarning(message, "ContextLengthWarning");
+    }
+    return messages;
+  }
+
+  /**
+   * Run a request within the client's rate limits, if any. Retries of the
+   * request run in the same slot.
+   * @private
+   */
+  _limit(options, tokens, task) {
+    if (!this.rateLimiter) {
+      return task();
+    }
+    return this.rateLimiter.schedule(task, {
+      priority: options.priority,
+      tokens,
+      signal: options.signal,
+    });
+  }
+
+  /**
+   * Tokens a chat request counts against a tokens-per-minute limit before
+   * the server reports its usage
+   * @private
+   */
+  _estimateRequestTokens(messages, options) {
+    if (!this.rateLimiter) {
+      return 0;
+    }
+    return (
+      this.tokenEstimator.estimateMessages(
+        messages,
+        options.model || this.model,
+      ) + (options.max_tokens || 0)
+    );
+  }
+
+  /**
+   * Get the retry policy for a request, honouring a per-call `retry` option
+   * @private
+   */
+  _getRetryPolicy(options = {}) {
+    if (options.retry === undefined) {
+      return this.retryPolicy;
+    }
+    if (options.retry === false) {
+      return new RetryPolicy({ maxAttempts: 1 });
+    }
+    return new RetryPolicy({ ...this.retryConfig, ...options.retry });
+  }
+
+  /**
+   * Validate a chat message list
+   * @private
+   */
+  _validateMessages(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new Error("Messages must be a non-empty array");
+    }
+
+    for (const message of messages) {
+      if (
+        !message ||
+        !["system", "user", "assistant", "tool"].includes(message.role)
+      ) {
+        throw new Error(
+          'Each message must have a role of "system", "user", "assistant" or "tool"',
+        );
+      }
+      if (typeof message.content !== "string") {
+        throw new Error(`Message content must be a string (${message.role})`);
+      }
     }
   }
 
@@ -311,11 +1218,7 @@ class AIClient {
    * @private
    */
   _getEndpoint(isStream = false) {
-    if (this.apiFormat === "openai") {
-      return "/v1/chat/completions";
-    } else {
-      return "/api/generate";
-    }
+    return this.adapter.getEndpoint({ stream: isStream });
   }
 
   /**
@@ -323,74 +1226,398 @@ class AIClient {
    * @private
    */
   _formatResponse(data) {
-    if (this.apiFormat === "openai") {
-      // Convert OpenAI format to unified format
-      return {
-        response: data.choices?.[0]?.message?.content || "",
-        model: data.model,
-        created: data.created,
-        usage: data.usage,
-        id: data.id,
-        // Keep original data for compatibility
-        _original: data,
-      };
-    } else {
-      // DeepSeek format - return as is
-      return data;
+    const result = this.adapter.formatResponse(data);
+    if (typeof result.response !== "string") {
+      return result;
     }
+
+    // Separate inline <think> blocks from the answer
+    const { reasoning, response } = ReasoningParser.split(result.response, {
+      reasoningEnded: Boolean(result.reasoning),
+    });
+    return {
+      ...result,
+      response,
+      reasoning: [result.reasoning, reasoning].filter(Boolean).join("\n"),
+    };
   }
 
   /**
    * Parse streaming chunk based on API format
    * @private
    */
-  _parseStreamChunk(line) {
-    if (this.apiFormat === "openai") {
-      // OpenAI streaming format
-      if (line.startsWith("data: ")) {
-        const data = line.slice(6);
-        if (data === "[DONE]") {
-          return { done: true };
-        }
-        try {
-          const parsed = JSON.parse(data);
-          return {
-            response: parsed.choices?.[0]?.delta?.content || "",
-            done: parsed.choices?.[0]?.finish_reason !== null,
-            _original: parsed,
-          };
-        } catch (e) {
-          return null;
-        }
+  _parseStreamChunk(event) {
+    return this.adapter.parseStreamChunk(event);
+  }
+
+  /**
+   * Move inline <think> text of a stream chunk from `response` to `reasoning`
+   * @private
+   */
+  _splitReasoning(reasoningParser, chunk, final) {
+    if (chunk.reasoning) {
+      // The server sends the reasoning separately
+      reasoningParser.endReasoning();
+    }
+    const parts = reasoningParser.push(chunk.response || "");
+    if (final) {
+      const rest = reasoningParser.flush();
+      parts.reasoning += rest.reasoning;
+      parts.response += rest.response;
+    }
+    chunk.response = parts.response;
+    chunk.reasoning = (chunk.reasoning || "") + parts.reasoning;
+    if (parts.retracted) {
+      chunk.retracted = true;
+    }
+  }
+
+  /**
+   * Create the incremental parser for the adapter's stream format
+   * @private
+   */
+  _createStreamParser() {
+    return this.adapter.streamFormat === "sse"
+      ? new SSEParser()
+      : new NDJSONParser();
+  }
+
+  /**
+   * Send one embedding request
+   * @private
+   */
+  async _postEmbeddings(path, inputs, requestOptions, options) {
+    const tokens = inputs.reduce(
+      (sum, input) =>
+        sum + this.tokenEstimator.estimate(input, requestOptions.model),
+      0,
+    );
+    // Each attempt takes its own rate limit slot
+    return this._getRetryPolicy(options).execute(
+      () =>
+        this._limit(options, tokens, async () => {
+          const response = await this.client.post(
+            path,
+            this.adapter.formatEmbeddingRequest(inputs, requestOptions, path),
+            { headers: this._getHeaders(), signal: options.signal },
+          );
+          return this.adapter.formatEmbeddingResponse(response.data, path);
+        }),
+      { signal: options.signal },
+    );
+  }
+
+  /**
+   * Whether an error means the server has no such endpoint, as opposed to
+   * a 404 for an unknown model
+   * @private
+   */
+  _isMissingEndpoint(error) {
+    const { response } = error;
+    return (
+      response?.status === 404 &&
+      !/model/i.test(JSON.stringify(response.data) || "")
+    );
+  }
+
+  /**
+   * Append a completed request to the usage ledger, if enabled
+   * @private
+   */
+  async _recordUsage(type, result, options, startedAt) {
+    if (!this.usageLedger) {
+      return;
+    }
+    await this.usageLedger.record({
+      type,
+      apiFormat: this.apiFormat,
+      model: result.model || options.model || this.model,
+      template: options.template,
+      usage: result.usage,
+      latency: Date.now() - startedAt,
+    });
+  }
+
+  /**
+   * Merge a stream chunk into the aggregated stream result
+   * @private
+   */
+  _aggregateChunk(result, chunk) {
+    if (chunk.retracted) {
+      // The answer streamed so far turned out to be reasoning
+      result.reasoning += result.response;
+      result.response = "";
+    }
+    result.response += chunk.response || "";
+    result.reasoning += chunk.reasoning || "";
+    result.model = chunk.model || result.model;
+    result.finish_reason = chunk.finish_reason || result.finish_reason;
+
+    if (chunk.usage) {
+      // Some formats report prompt and completion tokens in separate chunks
+      const usage = { ...result.usage, ...chunk.usage };
+      if (
+        chunk.usage.total_tokens === undefined &&
+        usage.prompt_tokens !== undefined &&
+        usage.completion_tokens !== undefined
+      ) {
+        usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+      }
+      result.usage = usage;
+    }
+  }
+
+  /**
+   * Convert any request failure into a typed AIClientError
+   * @private
+   */
+  async _toClientError(error, options = {}) {
+    if (error instanceof AIClientError) {
+      return error;
+    }
+
+    if (options.signal?.aborted || axios.isCancel(error)) {
+      return this._createAbortError(options.signal, error);
+    }
+
+    if (error.response) {
+      // Streaming requests get the error body as a stream too
+      if (
+        error.response.data &&
+        typeof error.response.data.pipe === "function"
+      ) {
+        error.response.data = await this._readStreamBody(error.response.data);
+      }
+      return this.adapter.createError(error.response, error);
+    }
+
+    if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+      return new TimeoutError(
+        `Network Error: Request timed out after ${this.timeout}ms. ${error.message}`,
+        { code: error.code, cause: error },
+      );
+    }
+
+    if (error.request) {
+      return new NetworkError(
+        "Network Error: Unable to reach the server. Please check your connection and server URL. " +
+          error.message,
+        { code: error.code, cause: error },
+      );
+    }
+
+    return new RequestError(`Request Error: ${error.message}`, {
+      cause: error,
+    });
+  }
+
+  /**
+   * Create the error thrown for a cancelled request
+   * @private
+   */
+  _createAbortError(signal, cause) {
+    const reason = signal?.reason;
+    const detail =
+      reason && !(reason instanceof Error && reason.name === "AbortError")
+        ? `: ${reason.message || reason}`
+        : "";
+
+    return new AbortError(`Request aborted${detail}`, {
+      code: "ABORT_ERR",
+      cause: cause || (reason instanceof Error ? reason : undefined),
+    });
+  }
+
+  /**
+   * Read a streamed error body, parsing it as JSON when possible
+   * @private
+   */
+  async _readStreamBody(stream) {
+    let body = "";
+    try {
+      for await (const chunk of stream) {
+        body += chunk.toString();
       }
+      return JSON.parse(body);
+    } catch (error) {
+      return body;
+    }
+  }
+
+  /**
+   * Get authentication headers based on API format
+   * @private
+   */
+  _getHeaders() {
+    return this.adapter.getHeaders(this);
+  }
+
+  /**
+   * Register a custom API format, making it available to every client
+   * @param {string} name - Format name, as used in API_FORMAT / apiFormat
+   * @param {FormatAdapter|object} adapter - Adapter implementing the FormatAdapter interface
+   */
+  static registerFormat(name, adapter) {
+    formats.register(name, adapter);
+  }
+
+  /**
+   * List the registered API formats
+   * @returns {string[]} - Format names
+   */
+  static listFormats() {
+    return formats.list();
+  }
+
+  /**
+   * Find the routing rule for a request: the first rule whose template,
+   * command and tag (those it sets) all match. A rule without any of them
+   * matches every request, so it works as the fallback at the end of the list.
+   * @param {object} request - Request properties
+   * @param {string} request.template - Template name
+   * @param {string} request.command - CLI command or task name (default: the client's `command`)
+   * @param {string} request.tag - Free-form tag (default: the client's `tag`)
+   * @returns {object|null} - The rule ({ model, provider, ... }), or null
+   */
+  resolveRoute({ template, command = this.command, tag = this.tag } = {}) {
+    const request = { template, command, tag };
+    return (
+      this.routes.find((rule) =>
+        ROUTE_CRITERIA.every(
+          (key) =>
+            rule[key] === undefined || matchesRoute(request[key], rule[key]),
+        ),
+      ) || null
+    );
+  }
+
+  /**
+   * Model a request is sent to: its own `model`, then the model the routing
+   * rules pick (a provider's own model for rules without one), then the
+   * client's
+   * @param {object} request - Request options (model, template, command, tag)
+   * @returns {string}
+   */
+  resolveModel(request = {}) {
+    return this._route(request)?.options.model || request.model || this.model;
+  }
+
+  /**
+   * Apply the routing rules to a request. A per-call `model` always wins.
+   * @private
+   * @returns {{rule: object, client: AIClient, options: object}|null} - Null to send the request as it is
+   */
+  _route(options) {
+    if (this.routes.length === 0 || options.model) {
       return null;
-    } else {
-      // DeepSeek format
-      return JSON.parse(line);
     }
+    const rule = this.resolveRoute(options);
+    if (!rule) {
+      return null;
+    }
+
+    let client = this;
+    if (rule.provider) {
+      // A provider of the fallback chain, or else a profile
+      const provider = this.providers?.find(
+        (candidate) => candidate.name === rule.provider,
+      );
+      client =
+        provider?.client ||
+        (this._routeClients[rule.provider] =
+          this._routeClients[rule.provider] ||
+          this._createProviderClient({ profile: rule.provider }));
+    }
+
+    return {
+      rule,
+      client,
+      options: { ...options, model: rule.model || client.model },
+    };
+  }
+
+  /**
+   * Health of the providers of the fallback chain
+   * @returns {Array<{name: string, healthy: boolean, failures: number, retryAt: Date|null}>} - Empty without a fallback chain
+   */
+  getProviderStatus() {
+    const now = Date.now();
+    return (this.providers || []).map((provider) => ({
+      name: provider.name,
+      healthy: provider.openUntil <= now,
+      failures: provider.failures,
+      retryAt: provider.openUntil > now ? new Date(provider.openUntil) : null,
+    }));
   }
 
   /**
-   * Extract error message from response based on API format
+   * Run a request on the first healthy provider, failing over to the next
+   * one on network errors, timeouts and 5xx responses. The result records the
+   * provider that answered in `provider`.
    * @private
    */
-  _extractErrorMessage(response) {
-    if (this.apiFormat === "openai") {
-      return response.data?.error?.message || response.statusText;
-    } else {
-      return response.data?.error || response.statusText;
+  async _withFailover(options, run, canFailOver = () => true) {
+    if (!this.providers) {
+      return run(this, options);
+    }
+
+    // When every provider is cooling down, try them all anyway
+    const now = Date.now();
+    let candidates = this.providers.filter(
+      (provider) => provider.openUntil <= now,
+    );
+    if (candidates.length === 0) {
+      candidates = this.providers;
+    }
+
+    for (const [index, provider] of candidates.entries()) {
+      // A per-call model only makes sense for the first provider's server
+      const providerOptions =
+        provider.client === this ? options : { ...options, model: undefined };
+      try {
+        const result = await run(provider.client, providerOptions);
+        provider.failures = 0;
+        provider.openUntil = 0;
+        return { ...result, provider: provider.name };
+      } catch (error) {
+        const next = candidates[index + 1];
+        if (!this._isFailoverError(error) || !canFailOver()) {
+          throw error;
+        }
+
+        provider.failures++;
+        if (provider.failures >= this.circuitBreaker.failureThreshold) {
+          provider.openUntil = Date.now() + this.circuitBreaker.cooldown;
+        }
+        if (!next) {
+          throw error;
+        }
+        if (this.onFailover) {
+          this.onFailover({ from: provider.name, to: next.name, error });
+        }
+      }
     }
   }
 
+  /**
+   * Whether a failed request should be sent to the next provider
+   * @private
+   */
+  _isFailoverError(error) {
+    return (
+      error instanceof NetworkError ||
+      (error instanceof APIError && error.status >= 500)
+    );
+  }
+
   /**
    * Set API format
-   * @param {string} format - 'openai' or 'deepseek'
+   * @param {string} format - Name of a registered format ('openai', 'deepseek', 'ollama', 'anthropic' or a custom one)
    */
   setApiFormat(format) {
-    if (!["openai", "deepseek"].includes(format)) {
-      throw new Error('API format must be either "openai" or "deepseek"');
-    }
+    this.adapter = formats.get(format);
     this.apiFormat = format;
+    this._embeddingEndpoints = undefined;
   }
 
   /**
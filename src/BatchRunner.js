@@ -0,0 +1,221 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { AbortError } = require("./errors");
+const { mapConcurrent } = require("./concurrency");
+
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Runs the prompts of a JSONL file with limited concurrency and writes one
+ * JSONL result per input line. Each input line is an object with a `prompt`,
+ * a `template` with `vars`, or `messages` for chat(), plus an optional `id`,
+ * `model` and `options`. Failed lines are written as errors without stopping
+ * the batch. The output file doubles as the checkpoint: a rerun skips the
+ * lines that already have a result and retries the failed ones.
+ */
+class BatchRunner {
+  /**
+   * @param {AIClient} client - Client used for the requests
+   * @param {object} options - Batch settings
+   * @param {number} options.concurrency - Requests in flight at the same time (default: 4)
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  }
+
+  /**
+   * Default output file: `<input>.results.jsonl` next to the input
+   * @param {string} inputFile - Input JSONL file
+   * @returns {string}
+   */
+  static getDefaultOutput(inputFile) {
+    const { dir, name } = path.parse(inputFile);
+    return path.join(dir, `${name}.results.jsonl`);
+  }
+
+  /**
+   * Run every line of an input file
+   * @param {string} inputFile - Input JSONL file
+   * @param {string} outputFile - Output JSONL file (default: `<input>.results.jsonl`)
+   * @param {object} options - Batch and request options
+   * @param {boolean} options.restart - Discard earlier results instead of skipping their lines
+   * @param {function} options.onProgress - Called with { done, failed, total, skipped } after each line; `total` counts the lines to run, without the skipped ones
+   * @param {AbortSignal} options.signal - Stops the batch when aborted; finished lines are kept
+   * @returns {Promise<{total: number, completed: number, failed: number, skipped: number, output: string}>}
+   */
+  async run(inputFile, outputFile, options = {}) {
+    const {
+      restart = false,
+      onProgress = () => {},
+      ...requestOptions
+    } = options;
+    const output = outputFile || BatchRunner.getDefaultOutput(inputFile);
+
+    let content;
+    try {
+      content = await fs.readFile(inputFile, "utf8");
+    } catch (error) {
+      throw new Error(`Error reading batch input: ${error.message}`);
+    }
+    const items = content
+      .split("\n")
+      .map((raw, index) => BatchRunner._parseLine(raw, index + 1))
+      .filter(Boolean);
+
+    // Keep the results of an earlier run, dropping its errors so the failed
+    // lines are retried
+    const finished = restart ? [] : await this._readResults(output);
+    const done = new Set(finished.map((record) => record.line));
+    await fs.mkdir(path.dirname(path.resolve(output)), { recursive: true });
+    await fs.writeFile(
+      output,
+      finished.map((record) => JSON.stringify(record) + "\n").join(""),
+    );
+
+    const pending = items.filter((item) => !done.has(item.line));
+    const stats = {
+      total: items.length,
+      completed: 0,
+      failed: 0,
+      skipped: items.length - pending.length,
+      output,
+    };
+    const report = () =>
+      onProgress({
+        done: stats.completed + stats.failed,
+        failed: stats.failed,
+        total: pending.length,
+        skipped: stats.skipped,
+      });
+    report();
+
+    let writing = Promise.resolve();
+    await mapConcurrent(
+      pending,
+      this.concurrency,
+      async (item) => {
+        let record;
+        try {
+          record = await this._runItem(item, requestOptions);
+          stats.completed++;
+        } catch (error) {
+          if (error instanceof AbortError) throw error;
+          record = {
+            line: item.line,
+            id: item.input?.id,
+            ...this._formatError(error),
+          };
+          stats.failed++;
+        }
+
+        writing = writing.then(() =>
+          fs.appendFile(output, JSON.stringify(record) + "\n"),
+        );
+        await writing;
+        report();
+      },
+      { signal: requestOptions.signal },
+    );
+
+    return stats;
+  }
+
+  /**
+   * Parse an input line; blank lines are skipped
+   * @private
+   */
+  static _parseLine(raw, line) {
+    if (raw.trim() === "") return null;
+    try {
+      const input = JSON.parse(raw);
+      return { line, input: input && typeof input === "object" ? input : {} };
+    } catch (error) {
+      return { line, parseError: error.message };
+    }
+  }
+
+  /**
+   * Send the request of one input line
+   * @private
+   */
+  async _runItem(item, requestOptions) {
+    const { input } = item;
+    if (item.parseError) {
+      throw new Error(`Invalid JSON on line ${item.line}: ${item.parseError}`);
+    }
+
+    const options = { ...requestOptions, ...input.options };
+    if (input.model) options.model = input.model;
+
+    let response;
+    if (input.template) {
+      response = await this.client.generateFromTemplate(
+        input.template,
+        input.vars || {},
+        options,
+      );
+    } else if (input.messages) {
+      response = await this.client.chat(input.messages, options);
+    } else if (typeof input.prompt === "string") {
+      response = await this.client.generate(input.prompt, options);
+    } else {
+      throw new Error(
+        `Line ${item.line} needs a "prompt", a "template" or "messages"`,
+      );
+    }
+
+    const record = {
+      line: item.line,
+      id: input.id,
+      response: response.response,
+      model: response.model,
+      usage: response.usage,
+    };
+    if (response.reasoning) record.reasoning = response.reasoning;
+    if (response.cached) record.cached = true;
+    return record;
+  }
+
+  /**
+   * Error fields of a failed line
+   * @private
+   */
+  _formatError(error) {
+    return {
+      error: {
+        name: error.name,
+        message: error.message,
+        code: error.code,
+        status: error.status,
+      },
+    };
+  }
+
+  /**
+   * Successful results of an earlier run
+   * @private
+   */
+  async _readResults(file) {
+    let content;
+    try {
+      content = await fs.readFile(file, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw new Error(`Error reading batch output: ${error.message}`);
+    }
+
+    const records = [];
+    for (const line of content.split("\n")) {
+      try {
+        const record = JSON.parse(line);
+        if (record.line && !record.error) records.push(record);
+      } catch (error) {
+        // Skip a line cut off by an interrupted run
+      }
+    }
+    return records;
+  }
+}
+
+module.exports = BatchRunner;
@@ -0,0 +1,141 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const ConfigHelper = require("./ConfigHelper");
+
+class ChatSessionStore {
+  constructor(dir) {
+    this.dir = dir || path.join(ConfigHelper.getUserDataDir(), "sessions");
+  }
+
+  /**
+   * Create a new (unsaved) chat session
+   * @param {object} options - Session settings
+   * @param {string} options.model - Model used for the session
+   * @param {string} options.apiFormat - API format used for the session
+   * @param {string} options.system - Optional system prompt
+   * @returns {object} - The new session
+   */
+  create({ model, apiFormat, system } = {}) {
+    const now = new Date().toISOString();
+    const stamp = now.replace(/[-:]/g, "").replace("T", "-").slice(0, 15);
+
+    return {
+      id: `${stamp}-${crypto.randomBytes(3).toString("hex")}`,
+      title: "",
+      model,
+      apiFormat,
+      createdAt: now,
+      updatedAt: now,
+      messages: system ? [{ role: "system", content: system }] : [],
+    };
+  }
+
+  /**
+   * Load a saved chat session
+   * @param {string} id - Session id
+   * @returns {Promise<object>} - The session
+   */
+  async load(id) {
+    try {
+      const content = await fs.readFile(this._getSessionPath(id), "utf8");
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(`Chat session '${id}' not found`);
+      }
+      throw new Error(`Error loading chat session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save a chat session to disk
+   * @param {object} session - The session to save
+   * @returns {Promise<object>} - The saved session
+   */
+  async save(session) {
+    const firstPrompt = session.messages.find(
+      (message) => message.role === "user",
+    );
+    if (!session.title && firstPrompt) {
+      session.title = firstPrompt.content.replace(/\s+/g, " ").slice(0, 60);
+    }
+    session.updatedAt = new Date().toISOString();
+
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(
+        this._getSessionPath(session.id),
+        JSON.stringify(session, null, 2),
+      );
+      return session;
+    } catch (error) {
+      throw new Error(`Error saving chat session: ${error.message}`);
+    }
+  }
+
+  /**
+   * List saved chat sessions, most recently updated first
+   * @returns {Promise<object[]>} - Session summaries
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw new Error(`Error listing chat sessions: ${error.message}`);
+    }
+
+    const sessions = [];
+    for (const file of files.filter((file) => file.endsWith(".json"))) {
+      try {
+        const session = await this.load(file.replace(".json", ""));
+        sessions.push({
+          id: session.id,
+          title: session.title,
+          model: session.model,
+          updatedAt: session.updatedAt,
+          messageCount: session.messages.filter(
+            (message) => message.role !== "system",
+          ).length,
+        });
+      } catch (error) {
+        // Skip unreadable session files
+      }
+    }
+
+    return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Delete a saved chat session
+   * @param {string} id - Session id
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    try {
+      await fs.unlink(this._getSessionPath(id));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(`Chat session '${id}' not found`);
+      }
+      throw new Error(`Error deleting chat session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve the file path of a session
+   * @private
+   */
+  _getSessionPath(id) {
+    if (!/^[\w-]+$/.test(id || "")) {
+      throw new Error(`Invalid chat session id: ${id}`);
+    }
+    return path.join(this.dir, `${id}.json`);
+  }
+}
+
+module.exports = ChatSessionStore;
@@ -1,34 +1,51 @@
 const fs = require("fs").promises;
+const os = require("os");
 const path = require("path");
+const { formats } = require("./adapters");
 
 class ConfigHelper {
-  constructor() {
+  /**
+   * @param {object} options - Helper options
+   * @param {object} options.profile - Settings of the active profile, which take precedence over environment variables
+   */
+  constructor(options = {}) {
+    this.profile = options.profile || {};
     this.envPath = path.join(process.cwd(), ".env");
     this.envExamplePath = path.join(process.cwd(), ".env.example");
   }
 
+  /**
+   * Get the per-user data directory (chat sessions, etc.)
+   * @returns {string} - Directory path, overridable with AI_CLIENT_HOME
+   */
+  static getUserDataDir() {
+    return process.env.AI_CLIENT_HOME || path.join(os.homedir(), ".ai-client");
+  }
+
+  /**
+   * List the API formats known to the client
+   * @returns {string[]} - Registered format names
+   */
+  getAvailableFormats() {
+    return formats.list();
+  }
+
   /**
    * Detect current API format from environment
-   * @returns {string} - 'openai' or 'deepseek'
+   * @returns {string} - Name of a registered format
    */
   detectApiFormat() {
     // Check explicit format setting
-    if (process.env.API_FORMAT) {
-      return process.env.API_FORMAT.toLowerCase();
-    }
-
-    // Auto-detect based on BASE_URL patterns
-    const baseUrl = process.env.BASE_URL;
-
-    if (
-      baseUrl &&
-      (baseUrl.includes("openai.com") || baseUrl.includes("api.openai"))
-    ) {
-      return "openai";
+    const apiFormat = this.profile.apiFormat || process.env.API_FORMAT;
+    if (apiFormat) {
+      return apiFormat.toLowerCase();
     }
 
-    // Default to deepseek for backward compatibility
-    return "deepseek";
+    // Auto-detect based on BASE_URL patterns, defaulting to deepseek for
+    // backward compatibility
+    return (
+      formats.detect(this.profile.baseUrl || process.env.BASE_URL) || "deepseek"
+    );
   }
 
   /**
@@ -39,20 +56,27 @@ class ConfigHelper {
     const apiFormat = this.detectApiFormat();
 
     // Platform-agnostic configuration
-    const baseUrl =
-      process.env.BASE_URL ||
-      (apiFormat === "openai" ? "https://api.openai.com" : undefined);
-    const token = process.env.API_KEY;
+    const defaults = formats.has(apiFormat)
+      ? formats.get(apiFormat).defaults
+      : {};
+    const profile = this.profile;
+    const baseUrl = profile.baseUrl || process.env.BASE_URL || defaults.baseUrl;
+    const token = profile.token || process.env.API_KEY;
     const model =
-      process.env.MODEL ||
-      (apiFormat === "openai" ? "gpt-4" : "deepseek-r1:8b");
-    const timeout = parseInt(process.env.TIMEOUT || "30000");
+      profile.model || process.env.MODEL || defaults.model || "deepseek-r1:8b";
+    const embeddingModel =
+      profile.embeddingModel ||
+      process.env.EMBEDDING_MODEL ||
+      defaults.embeddingModel ||
+      model;
+    const timeout = parseInt(profile.timeout || process.env.TIMEOUT || "30000");
 
     const baseConfig = {
       apiFormat,
       baseUrl,
       token,
       model,
+      embeddingModel,
       timeout,
     };
 
@@ -69,6 +93,12 @@ class ConfigHelper {
     const warnings = [];
 
     // Check required fields
+    if (!formats.has(config.apiFormat)) {
+      errors.push(
+        `Unknown API format "${config.apiFormat}". Available formats: ${formats.list().join(", ")}`,
+      );
+    }
+
     if (!config.baseUrl) {
       errors.push(`Missing base URL. Set BASE_URL environment variable.`);
     }
@@ -84,6 +114,15 @@ class ConfigHelper {
       );
     }
 
+    if (
+      config.apiFormat === "anthropic" &&
+      !config.model.startsWith("claude")
+    ) {
+      warnings.push(
+        `Using non-Claude model "${config.model}" with Anthropic format. This may not work.`,
+      );
+    }
+
     if (config.apiFormat === "deepseek" && config.model.startsWith("gpt-")) {
       warnings.push(
         `Using OpenAI model "${config.model}" with DeepSeek format. This may not work.`,
@@ -116,6 +155,7 @@ class ConfigHelper {
 
     const deepseekConfig = {
       name: "DeepSeek (Self-hosted)",
+      format: "deepseek",
       description: "Use your own DeepSeek server",
       required: [
         "API_FORMAT=deepseek",
@@ -127,6 +167,7 @@ class ConfigHelper {
 
     const openaiConfig = {
       name: "OpenAI API",
+      format: "openai",
       description: "Use official OpenAI API service",
       required: [
         "API_FORMAT=openai",
@@ -138,6 +179,7 @@ class ConfigHelper {
 
     const customOpenaiConfig = {
       name: "Custom OpenAI-Compatible",
+      format: "openai",
       description: "Use custom server with OpenAI-compatible API",
       required: [
         "API_FORMAT=openai",
@@ -147,9 +189,40 @@ class ConfigHelper {
       optional: ["MODEL=your-model-name", "TIMEOUT=30000"],
     };
 
+    const ollamaConfig = {
+      name: "Ollama Chat (Self-hosted)",
+      format: "ollama",
+      description:
+        "Use Ollama's /api/chat endpoint (multi-turn, system prompts)",
+      required: [
+        "API_FORMAT=ollama",
+        "BASE_URL=http://your-droplet-ip",
+        "API_KEY=your-token-here",
+      ],
+      optional: ["MODEL=deepseek-r1:8b", "TIMEOUT=30000"],
+    };
+
+    const anthropicConfig = {
+      name: "Anthropic API",
+      format: "anthropic",
+      description: "Use the Anthropic Messages API",
+      required: [
+        "API_FORMAT=anthropic",
+        "BASE_URL=https://api.anthropic.com",
+        "API_KEY=your-anthropic-key-here",
+      ],
+      optional: ["MODEL=claude-sonnet-4-0", "TIMEOUT=30000"],
+    };
+
     return {
       current: current.apiFormat,
-      configurations: [deepseekConfig, openaiConfig, customOpenaiConfig],
+      configurations: [
+        deepseekConfig,
+        openaiConfig,
+        customOpenaiConfig,
+        anthropicConfig,
+        ollamaConfig,
+      ],
     };
   }
 
@@ -179,14 +252,15 @@ class ConfigHelper {
 
   /**
    * Switch to specific API format
-   * @param {string} format - 'openai' or 'deepseek'
+   * @param {string} format - Name of a registered format
    * @param {object} config - Configuration values
    * @returns {Promise<void>}
    */
   async switchApiFormat(format, config = {}) {
-    if (!["openai", "deepseek"].includes(format)) {
-      throw new Error('Format must be either "openai" or "deepseek"');
+    if (!formats.has(format)) {
+      throw new Error(`Format must be one of: ${formats.list().join(", ")}`);
     }
+    const defaults = formats.get(format).defaults;
 
     const envContent = await this.readEnvFile();
     const lines = envContent.split("\n");
@@ -217,7 +291,14 @@ class ConfigHelper {
 
       // Keep only platform-agnostic variables
       if (
-        ["API_FORMAT", "BASE_URL", "API_KEY", "MODEL", "TIMEOUT"].includes(key)
+        [
+          "API_FORMAT",
+          "BASE_URL",
+          "API_KEY",
+          "MODEL",
+          "EMBEDDING_MODEL",
+          "TIMEOUT",
+        ].includes(key)
       ) {
         newLines.push(line);
       } else {
@@ -243,17 +324,14 @@ class ConfigHelper {
     newLines.push("# Platform-Agnostic Configuration");
 
     if (!processedKeys.has("BASE_URL")) {
-      const defaultUrl =
-        format === "openai"
-          ? "https://api.openai.com"
-          : "http://your-server-url";
+      const defaultUrl = defaults.baseUrl || "http://your-server-url";
       addOrUpdateLine("BASE_URL", config.baseUrl || defaultUrl);
     }
     if (!processedKeys.has("API_KEY")) {
       addOrUpdateLine("API_KEY", config.token || "your-api-key-here");
     }
     if (!processedKeys.has("MODEL")) {
-      const defaultModel = format === "openai" ? "gpt-4" : "deepseek-r1:8b";
+      const defaultModel = defaults.model || "your-model-name";
       addOrUpdateLine("MODEL", config.model || defaultModel);
     }
     if (!processedKeys.has("TIMEOUT")) {
@@ -284,13 +362,13 @@ class ConfigHelper {
     ]);
 
     const selectedConfig = suggestions.configurations[configType];
-    const format = configType === 0 ? "deepseek" : "openai";
+    const format = selectedConfig.format;
 
     console.log(`\n📝 Configuring ${selectedConfig.name}...`);
 
     const config = {};
 
-    if (format === "deepseek") {
+    if (format === "deepseek" || format === "ollama") {
       const answers = await prompt([
         {
           type: "input",
@@ -321,9 +399,10 @@ class ConfigHelper {
           name: "baseUrl",
           message: "API base URL:",
           default:
-            configType === 1
-              ? "https://api.openai.com"
-              : "http://your-custom-server",
+            {
+              1: "https://api.openai.com",
+              3: "https://api.anthropic.com",
+            }[configType] || "http://your-custom-server",
           validate: (input) => {
             try {
               new URL(input);
@@ -343,7 +422,9 @@ class ConfigHelper {
           type: "input",
           name: "model",
           message: "Model name:",
-          default: configType === 1 ? "gpt-4" : "your-model-name",
+          default:
+            { 1: "gpt-4", 3: "claude-sonnet-4-0" }[configType] ||
+            "your-model-name",
         },
       ]);
 
@@ -393,6 +474,36 @@ TIMEOUT=30000`,
   baseUrl: 'https://api.openai.com',
   token: 'your-openai-key-here',
   model: 'gpt-4'
+});`,
+      },
+      anthropic: {
+        description: "Official Anthropic API",
+        env: `# Anthropic Configuration
+API_FORMAT=anthropic
+BASE_URL=https://api.anthropic.com
+API_KEY=your-anthropic-key-here
+MODEL=claude-sonnet-4-0
+TIMEOUT=30000`,
+        usage: `const client = new DeepSeekClient({
+  apiFormat: 'anthropic',
+  baseUrl: 'https://api.anthropic.com',
+  token: 'your-anthropic-key-here',
+  model: 'claude-sonnet-4-0'
+});`,
+      },
+      ollama: {
+        description: "Self-hosted Ollama server using the chat API",
+        env: `# Ollama Chat Configuration
+API_FORMAT=ollama
+BASE_URL=http://your-server-url
+API_KEY=your-api-key-here
+MODEL=deepseek-r1:8b
+TIMEOUT=30000`,
+        usage: `const client = new DeepSeekClient({
+  apiFormat: 'ollama',
+  baseUrl: 'http://your-server-url',
+  token: 'your-api-key-here',
+  model: 'deepseek-r1:8b'
 });`,
       },
       customOpenai: {
@@ -0,0 +1,39 @@
+/**
+ * Incremental parser for newline-delimited JSON streams (Ollama)
+ */
+class NDJSONParser {
+  constructor() {
+    this._buffer = "";
+  }
+
+  /**
+   * Parse the next piece of the stream
+   * @param {string} text - Decoded stream data
+   * @returns {string[]} - Complete, non-empty lines
+   */
+  feed(text) {
+    this._buffer += text;
+    const lines = this._buffer.split("\n");
+    this._buffer = lines.pop() || "";
+    return this._clean(lines);
+  }
+
+  /**
+   * Finish the stream, returning a last line without trailing newline
+   * @returns {string[]}
+   */
+  flush() {
+    const lines = this._clean([this._buffer]);
+    this._buffer = "";
+    return lines;
+  }
+
+  /**
+   * @private
+   */
+  _clean(lines) {
+    return lines.map((line) => line.trim()).filter((line) => line !== "");
+  }
+}
+
+module.exports = NDJSONParser;
@@ -0,0 +1,145 @@
+const fs = require("fs");
+const path = require("path");
+const ConfigHelper = require("./ConfigHelper");
+
+// Profile names double as CLI arguments, so keep them simple
+const PROFILE_NAME = /^[\w.-]+$/;
+
+/**
+ * Named client configurations (base URL, API key, model, ...) in the user's
+ * config file, e.g. one profile per server. Access is synchronous because
+ * AIClient resolves its profile in the constructor.
+ */
+class ProfileStore {
+  /**
+   * @param {string} file - Config file (default: ~/.ai-client/config.json)
+   */
+  constructor(file) {
+    this.file = file || path.join(ConfigHelper.getUserDataDir(), "config.json");
+  }
+
+  /**
+   * Read the config file
+   * @returns {{defaultProfile: string|undefined, profiles: object}} - Other top-level settings are kept as they are
+   */
+  read() {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.file, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return { profiles: {} };
+      }
+      throw new Error(`Error reading ${this.file}: ${error.message}`);
+    }
+    return { ...data, profiles: data.profiles || {} };
+  }
+
+  /**
+   * List the profiles
+   * @returns {object[]} - Profiles with their `name` and whether they are the `active` default
+   */
+  list() {
+    const { defaultProfile, profiles } = this.read();
+    return Object.entries(profiles).map(([name, profile]) => ({
+      name,
+      ...profile,
+      active: name === defaultProfile,
+    }));
+  }
+
+  /**
+   * Get a profile
+   * @param {string} name - Profile name
+   * @returns {object|null} - Client config of the profile
+   */
+  get(name) {
+    return this.read().profiles[name] || null;
+  }
+
+  /**
+   * Add a profile, replacing an existing one with the same name
+   * @param {string} name - Profile name
+   * @param {object} profile - Client config: apiFormat, baseUrl, token, model, embeddingModel, timeout, ...
+   */
+  add(name, profile) {
+    if (!PROFILE_NAME.test(name || "")) {
+      throw new Error(
+        `Invalid profile name "${name}". Use letters, digits, ".", "_" and "-"`,
+      );
+    }
+    const data = this.read();
+    data.profiles[name] = profile;
+    this._write(data);
+  }
+
+  /**
+   * Make a profile the default for clients that do not pick one
+   * @param {string} name - Profile name
+   */
+  use(name) {
+    const data = this.read();
+    this._assertExists(data, name);
+    data.defaultProfile = name;
+    this._write(data);
+  }
+
+  /**
+   * Remove a profile
+   * @param {string} name - Profile name
+   */
+  remove(name) {
+    const data = this.read();
+    this._assertExists(data, name);
+    delete data.profiles[name];
+    if (data.defaultProfile === name) {
+      delete data.defaultProfile;
+    }
+    this._write(data);
+  }
+
+  /**
+   * Find the profile to use: the given name, then AI_PROFILE, then the
+   * default profile
+   * @param {string} name - Profile name (optional)
+   * @returns {{name: string, config: object}|null} - Null when no profile is selected
+   */
+  resolve(name) {
+    const data = this.read();
+    const selected = name || process.env.AI_PROFILE || data.defaultProfile;
+    if (!selected) {
+      return null;
+    }
+    this._assertExists(data, selected);
+    return { name: selected, config: data.profiles[selected] };
+  }
+
+  /**
+   * @private
+   */
+  _assertExists(data, name) {
+    if (!data.profiles[name]) {
+      const names = Object.keys(data.profiles);
+      throw new Error(
+        `Profile '${name}' not found. ${
+          names.length
+            ? `Available profiles: ${names.join(", ")}`
+            : "Add one with: ai-client config profile add <name>"
+        }`,
+      );
+    }
+  }
+
+  /**
+   * Write the config file, readable by the user only since it holds API keys
+   * @private
+   */
+  _write(data) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(data, null, 2) + "\n", {
+      mode: 0o600,
+    });
+  }
+}
+
+module.exports = ProfileStore;
@@ -0,0 +1,314 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const ConfigHelper = require("./ConfigHelper");
+
+// Source and documentation files indexed by default
+const DEFAULT_EXTENSIONS = [
+  ".js",
+  ".ts",
+  ".jsx",
+  ".tsx",
+  ".php",
+  ".phtml",
+  ".xml",
+  ".graphqls",
+  ".less",
+  ".css",
+  ".html",
+  ".json",
+  ".py",
+  ".rb",
+  ".go",
+  ".java",
+  ".sql",
+  ".sh",
+  ".yml",
+  ".yaml",
+  ".md",
+  ".txt",
+];
+
+// Directories that never contain project sources
+const IGNORED_DIRS = [
+  ".git",
+  "node_modules",
+  "vendor",
+  "dist",
+  "build",
+  "generated",
+  "var",
+  "pub/static",
+];
+
+const MAX_FILE_SIZE = 512 * 1024;
+const EMBED_BATCH_SIZE = 64;
+
+/**
+ * File-based vector index of a project directory, for answering questions
+ * with relevant excerpts of the code (retrieval-augmented generation)
+ */
+class ProjectIndex {
+  /**
+   * @param {object} data - Saved index data
+   */
+  constructor(data = {}) {
+    this.version = 1;
+    this.root = data.root;
+    this.model = data.model;
+    this.dimensions = data.dimensions || 0;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    // Content hash per file, to reuse embeddings of unchanged files
+    this.files = data.files || {};
+    this.chunks = data.chunks || [];
+  }
+
+  /**
+   * Directory of named indexes
+   * @returns {string}
+   */
+  static getDefaultDir() {
+    return path.join(ConfigHelper.getUserDataDir(), "indexes");
+  }
+
+  /**
+   * Resolve an index name (stored in the user data directory) or file path
+   * @param {string} nameOrPath - Index name, or path to an index file
+   * @returns {string} - Index file path
+   */
+  static resolvePath(nameOrPath) {
+    if (/^[\w.-]+$/.test(nameOrPath) && !nameOrPath.endsWith(".json")) {
+      return path.join(ProjectIndex.getDefaultDir(), `${nameOrPath}.json`);
+    }
+    return path.resolve(nameOrPath);
+  }
+
+  /**
+   * Build (or refresh) the index of a directory
+   * @param {AIClient} client - Client used to create the embeddings
+   * @param {string} dir - Project directory
+   * @param {object} options - Indexing options
+   * @param {string} options.model - Embedding model
+   * @param {string[]} options.extensions - File extensions to index
+   * @param {number} options.chunkLines - Lines per chunk (default: 60)
+   * @param {number} options.overlap - Lines shared by consecutive chunks (default: 10)
+   * @param {ProjectIndex} options.previous - Earlier index of the directory; embeddings of unchanged files are reused
+   * @param {function} options.onProgress - Called with { done, total } as chunks are embedded
+   * @param {AbortSignal} options.signal - Cancels indexing when aborted
+   * @returns {Promise<ProjectIndex>}
+   */
+  static async build(client, dir, options = {}) {
+    const {
+      extensions = DEFAULT_EXTENSIONS,
+      chunkLines = 60,
+      overlap = 10,
+      previous,
+      onProgress,
+      signal,
+    } = options;
+    const root = path.resolve(dir);
+    const model =
+      options.model ||
+      client.embeddingModel ||
+      client.adapter.defaults.embeddingModel ||
+      client.model;
+    const index = new ProjectIndex({ root, model });
+    const reusable =
+      previous && previous.model === model ? previous : new ProjectIndex();
+
+    const pending = [];
+    for (const file of await ProjectIndex._listFiles(root, extensions)) {
+      const content = await fs.readFile(path.join(root, file), "utf8");
+      if (content.includes("\0")) continue;
+
+      const hash = crypto.createHash("sha1").update(content).digest("hex");
+      index.files[file] = hash;
+      if (reusable.files[file] === hash) {
+        index.chunks.push(
+          ...reusable.chunks.filter((chunk) => chunk.file === file),
+        );
+        continue;
+      }
+      pending.push(...ProjectIndex._chunk(file, content, chunkLines, overlap));
+    }
+
+    for (let start = 0; start < pending.length; start += EMBED_BATCH_SIZE) {
+      const batch = pending.slice(start, start + EMBED_BATCH_SIZE);
+      const { embeddings } = await client.embed(
+        batch.map((chunk) => `${chunk.file}\n${chunk.text}`),
+        { model, signal },
+      );
+      batch.forEach((chunk, i) => {
+        chunk.vector = embeddings[i].map(
+          (value) => Math.round(value * 1e6) / 1e6,
+        );
+      });
+      index.chunks.push(...batch);
+      if (onProgress) {
+        onProgress({
+          done: Math.min(start + EMBED_BATCH_SIZE, pending.length),
+          total: pending.length,
+        });
+      }
+    }
+
+    index.dimensions = index.chunks[0]?.vector.length || 0;
+    return index;
+  }
+
+  /**
+   * Load a saved index
+   * @param {string} nameOrPath - Index name, or path to an index file
+   * @returns {Promise<ProjectIndex>}
+   */
+  static async load(nameOrPath) {
+    try {
+      const content = await fs.readFile(
+        ProjectIndex.resolvePath(nameOrPath),
+        "utf8",
+      );
+      return new ProjectIndex(JSON.parse(content));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(
+          `Index '${nameOrPath}' not found. Create it with: ai-client index <dir>`,
+        );
+      }
+      throw new Error(`Error loading index: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save the index
+   * @param {string} nameOrPath - Index name, or path to an index file
+   * @returns {Promise<string>} - The index file path
+   */
+  async save(nameOrPath) {
+    const file = ProjectIndex.resolvePath(nameOrPath);
+    try {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, JSON.stringify(this));
+      return file;
+    } catch (error) {
+      throw new Error(`Error saving index: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the chunks most relevant to a query
+   * @param {AIClient} client - Client used to embed the query
+   * @param {string} query - Question or search text
+   * @param {object} options - Search options
+   * @param {number} options.topK - Number of chunks to return (default: 5)
+   * @param {AbortSignal} options.signal - Cancels the search when aborted
+   * @returns {Promise<Array<{file: string, startLine: number, endLine: number, text: string, score: number}>>}
+   */
+  async search(client, query, { topK = 5, signal } = {}) {
+    if (this.chunks.length === 0) {
+      return [];
+    }
+    const { embedding } = await client.embed(query, {
+      model: this.model,
+      signal,
+    });
+
+    // Vectors are unit length, so the dot product is the cosine similarity
+    return this.chunks
+      .map(({ vector, ...chunk }) => ({
+        ...chunk,
+        score: vector.reduce((sum, value, i) => sum + value * embedding[i], 0),
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+
+  /**
+   * Build a prompt that answers a question from retrieved chunks
+   * @param {string} question - The user's question
+   * @param {Array<object>} results - Chunks returned by search()
+   * @returns {string}
+   */
+  static buildPrompt(question, results) {
+    const excerpts = results.map(
+      (chunk) => `[${ProjectIndex.cite(chunk)}]\n\`\`\`\n${chunk.text}\n\`\`\``,
+    );
+
+    return [
+      "Answer the question using the following excerpts from the project.",
+      "Cite the excerpts you use by their [file:lines] reference. If the excerpts do not contain the answer, say so.",
+      "",
+      excerpts.join("\n\n"),
+      "",
+      `Question: ${question}`,
+    ].join("\n");
+  }
+
+  /**
+   * Citation of a chunk, e.g. "app/code/Vendor/Module/Model/Foo.php:10-69"
+   * @param {object} chunk - Indexed chunk
+   * @returns {string}
+   */
+  static cite(chunk) {
+    return `${chunk.file}:${chunk.startLine}-${chunk.endLine}`;
+  }
+
+  /**
+   * List indexable files, relative to the root
+   * @private
+   */
+  static async _listFiles(root, extensions) {
+    const files = [];
+    const walk = async (dir) => {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        const relative = path
+          .relative(root, fullPath)
+          .split(path.sep)
+          .join("/");
+        if (entry.isDirectory()) {
+          if (
+            !IGNORED_DIRS.includes(relative) &&
+            !IGNORED_DIRS.includes(entry.name)
+          ) {
+            await walk(fullPath);
+          }
+        } else if (
+          entry.isFile() &&
+          extensions.includes(path.extname(entry.name).toLowerCase())
+        ) {
+          const { size } = await fs.stat(fullPath);
+          if (size > 0 && size <= MAX_FILE_SIZE) files.push(relative);
+        }
+      }
+    };
+    await walk(root);
+    return files.sort();
+  }
+
+  /**
+   * Split a file into overlapping line ranges
+   * @private
+   */
+  static _chunk(file, content, chunkLines, overlap) {
+    const lines = content.replace(/\r?\n$/, "").split(/\r?\n/);
+    const step = Math.max(1, chunkLines - overlap);
+    const chunks = [];
+
+    for (let start = 0; start < lines.length; start += step) {
+      const text = lines.slice(start, start + chunkLines).join("\n");
+      if (text.trim()) {
+        chunks.push({
+          file,
+          startLine: start + 1,
+          endLine: Math.min(start + chunkLines, lines.length),
+          text,
+        });
+      }
+      if (start + chunkLines >= lines.length) break;
+    }
+    return chunks;
+  }
+}
+
+module.exports = ProjectIndex;
@@ -0,0 +1,208 @@
+// Length of the sliding window of the per-minute limits
+const WINDOW = 60000;
+
+/**
+ * Client-side limits on requests per minute, tokens per minute and
+ * concurrent requests. Calls over a limit wait in a queue: higher priorities
+ * go first, and calls of equal priority run in the order they were made.
+ */
+class RateLimiter {
+  /**
+   * @param {object} options - Limits; unset limits are not enforced
+   * @param {number} options.requestsPerMinute - Requests started per minute
+   * @param {number} options.tokensPerMinute - Prompt and completion tokens per minute
+   * @param {number} options.maxConcurrent - Requests in flight at the same time
+   */
+  constructor(options = {}) {
+    this.requestsPerMinute = options.requestsPerMinute || Infinity;
+    this.tokensPerMinute = options.tokensPerMinute || Infinity;
+    this.maxConcurrent = options.maxConcurrent || Infinity;
+
+    this.queue = [];
+    this.active = 0;
+    // Requests started within the last minute, as { time, tokens }
+    this.window = [];
+    this.timer = null;
+    this.waits = { count: 0, total: 0, max: 0, last: 0 };
+  }
+
+  /**
+   * Read limits from environment variables
+   * @returns {object} - Options for the constructor
+   */
+  static fromEnv() {
+    const options = {};
+    if (process.env.RATE_LIMIT_RPM)
+      options.requestsPerMinute = parseInt(process.env.RATE_LIMIT_RPM);
+    if (process.env.RATE_LIMIT_TPM)
+      options.tokensPerMinute = parseInt(process.env.RATE_LIMIT_TPM);
+    if (process.env.RATE_LIMIT_CONCURRENCY)
+      options.maxConcurrent = parseInt(process.env.RATE_LIMIT_CONCURRENCY);
+    return options;
+  }
+
+  /**
+   * Run a task once the limits allow it. When the task's result carries a
+   * unified `usage`, its token count replaces the estimate.
+   * @param {function} task - Function returning a promise
+   * @param {object} options - Scheduling options
+   * @param {number} options.priority - Higher priorities leave the queue first (default: 0)
+   * @param {number} options.tokens - Estimated tokens of the request
+   * @param {AbortSignal} options.signal - Removes the task from the queue when aborted
+   * @returns {Promise<*>} - Result of the task
+   */
+  schedule(task, { priority = 0, tokens = 0, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const entry = {
+        task,
+        priority,
+        tokens,
+        signal,
+        resolve,
+        reject,
+        queuedAt: Date.now(),
+      };
+      entry.onAbort = () => {
+        this.queue.splice(this.queue.indexOf(entry), 1);
+        reject(signal.reason);
+        this._drain();
+      };
+      signal?.addEventListener("abort", entry.onAbort, { once: true });
+
+      // Keep the queue sorted by priority, then by arrival
+      let index = this.queue.findIndex((other) => other.priority < priority);
+      if (index === -1) index = this.queue.length;
+      this.queue.splice(index, 0, entry);
+      this._drain();
+    });
+  }
+
+  /**
+   * Current load and back-pressure
+   * @returns {{active: number, queued: number, requestsInWindow: number, tokensInWindow: number, averageWait: number, maxWait: number, lastWait: number}} - Waits are in ms
+   */
+  stats() {
+    this._prune(Date.now());
+    return {
+      active: this.active,
+      queued: this.queue.length,
+      requestsInWindow: this.window.length,
+      tokensInWindow: this._windowTokens(),
+      averageWait: this.waits.count
+        ? Math.round(this.waits.total / this.waits.count)
+        : 0,
+      maxWait: this.waits.max,
+      lastWait: this.waits.last,
+    };
+  }
+
+  /**
+   * Start queued tasks while the limits allow it
+   * @private
+   */
+  _drain() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    while (this.queue.length > 0) {
+      const now = Date.now();
+      const entry = this.queue[0];
+      const delay = this._getDelay(entry, now);
+      if (delay === null) return; // Waiting for a running request to finish
+      if (delay > 0) {
+        this.timer = setTimeout(() => this._drain(), delay);
+        return;
+      }
+
+      this.queue.shift();
+      entry.signal?.removeEventListener("abort", entry.onAbort);
+      this._start(entry, now);
+    }
+  }
+
+  /**
+   * Run a task and release its slot when it settles
+   * @private
+   */
+  _start(entry, now) {
+    const wait = now - entry.queuedAt;
+    this.waits.count++;
+    this.waits.total += wait;
+    this.waits.max = Math.max(this.waits.max, wait);
+    this.waits.last = wait;
+
+    const slot = { time: now, tokens: entry.tokens };
+    this.window.push(slot);
+    this.active++;
+
+    Promise.resolve()
+      .then(entry.task)
+      .then(
+        (result) => {
+          const usage = result?.usage;
+          if (usage) {
+            slot.tokens =
+              usage.total_tokens ??
+              (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+          }
+          entry.resolve(result);
+        },
+        (error) => entry.reject(error),
+      )
+      .finally(() => {
+        this.active--;
+        this._drain();
+      });
+  }
+
+  /**
+   * Time until a task may start: 0 for now, null when it waits for a
+   * running request
+   * @private
+   */
+  _getDelay(entry, now) {
+    if (this.active >= this.maxConcurrent) {
+      return null;
+    }
+
+    this._prune(now);
+    let delay = 0;
+    if (this.window.length >= this.requestsPerMinute) {
+      delay = this.window[0].time + WINDOW - now;
+    }
+
+    // A request larger than the whole budget runs once the window is empty
+    let tokens = this._windowTokens();
+    for (const slot of this.window) {
+      if (tokens === 0 || tokens + entry.tokens <= this.tokensPerMinute) break;
+      tokens -= slot.tokens;
+      delay = Math.max(delay, slot.time + WINDOW - now);
+    }
+    return delay;
+  }
+
+  /**
+   * Forget requests older than the window
+   * @private
+   */
+  _prune(now) {
+    while (this.window.length > 0 && this.window[0].time + WINDOW <= now) {
+      this.window.shift();
+    }
+  }
+
+  /**
+   * Tokens of the requests within the window
+   * @private
+   */
+  _windowTokens() {
+    return this.window.reduce((sum, slot) => sum + slot.tokens, 0);
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,222 @@
+const OPEN_TAG = "<think>";
+const CLOSE_TAG = "</think>";
+// A closing tag that starts a line
+const LINE_CLOSE_TAG = `\n${CLOSE_TAG}`;
+
+/**
+ * Incremental splitter for inline reasoning blocks.
+ *
+ * Reasoning models such as DeepSeek-R1 emit their chain of thought as
+ * `<think>...</think>` before the answer. The parser separates it from the
+ * answer text as it streams in, holding back partial tags split across
+ * chunks. Only a block at the start of the output counts as reasoning.
+ *
+ * Some chat templates open the block in the prompt, so the output only has
+ * the closing tag. A lone `</think>` on a line of its own therefore ends
+ * reasoning that started the output; as that text has already been
+ * streamed as answer by then, the split that finds the tag is marked
+ * `retracted`. Tags within a line of the answer, tags after a reasoning
+ * block, and any tag once endReasoning() was called are left alone.
+ */
+class ReasoningParser {
+  constructor() {
+    this._pending = "";
+    this._inReasoning = false;
+    // Until answer text has been seen, a <think> block may still start
+    this._atStart = true;
+    // Whether the reasoning has ended; later tags are answer text
+    this._closed = false;
+    // Last character of the emitted answer text, to find tags that start a line
+    this._lastChar = "\n";
+  }
+
+  /**
+   * Split the next piece of output
+   * @param {string} text - Output text
+   * @returns {{reasoning: string, response: string, retracted: boolean|undefined}} - Text that can be emitted so far; `retracted` when the answer text emitted before was reasoning
+   */
+  push(text) {
+    return this._split(this._pending + text, false);
+  }
+
+  /**
+   * Finish the output, releasing any held back text
+   * @returns {{reasoning: string, response: string, retracted: boolean|undefined}}
+   */
+  flush() {
+    if (this._inReasoning) {
+      const reasoning = this._pending;
+      this._pending = "";
+      return { reasoning, response: "" };
+    }
+    return this._split(this._pending, true);
+  }
+
+  /**
+   * Treat any later closing tag as answer text, e.g. when the server returns
+   * the reasoning separately
+   */
+  endReasoning() {
+    this._closed = true;
+  }
+
+  /**
+   * Split a complete output into reasoning and answer
+   * @param {string} text - Full output text
+   * @param {object} options - Split options
+   * @param {boolean} options.reasoningEnded - The server returned the reasoning separately, so a lone closing tag is answer text
+   * @returns {{reasoning: string, response: string}}
+   */
+  static split(text, options = {}) {
+    const parser = new ReasoningParser();
+    if (options.reasoningEnded) {
+      parser.endReasoning();
+    }
+    const head = parser.push(text);
+    const tail = parser.flush();
+    if (tail.retracted) {
+      // The output ended with the lone closing tag
+      return {
+        reasoning: (head.response + tail.reasoning).trim(),
+        response: tail.response,
+      };
+    }
+    return {
+      reasoning: (head.reasoning + tail.reasoning).trim(),
+      response: head.response + tail.response,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _split(rest, final) {
+    const result = { reasoning: "", response: "" };
+    this._pending = "";
+
+    while (rest) {
+      if (this._inReasoning) {
+        const end = rest.indexOf(CLOSE_TAG);
+        if (end === -1) {
+          const held = this._partialTagLength(rest, CLOSE_TAG);
+          result.reasoning += rest.slice(0, rest.length - held);
+          this._pending = rest.slice(rest.length - held);
+          break;
+        }
+        result.reasoning += rest.slice(0, end);
+        rest = rest.slice(end + CLOSE_TAG.length);
+        this._inReasoning = false;
+        this._closed = true;
+        continue;
+      }
+
+      if (!this._atStart) {
+        if (this._closed) {
+          result.response += rest;
+          break;
+        }
+        const end = this._findLineCloseTag(rest);
+        if (end === -1) {
+          const held = final ? 0 : this._partialLineTagLength(rest);
+          this._emit(result, rest.slice(0, rest.length - held));
+          this._pending = rest.slice(rest.length - held);
+          break;
+        }
+        if (!final && end + CLOSE_TAG.length === rest.length) {
+          // The tag ends the text so far; the rest of its line decides
+          const held = Math.min(rest.length, CLOSE_TAG.length + 1);
+          this._emit(result, rest.slice(0, rest.length - held));
+          this._pending = rest.slice(rest.length - held);
+          break;
+        }
+        // A closing tag without an opening one: the answer so far was reasoning
+        result.reasoning += result.response + rest.slice(0, end);
+        result.response = "";
+        result.retracted = true;
+        rest = rest.slice(end + CLOSE_TAG.length);
+        this._closed = true;
+        this._atStart = true;
+        continue;
+      }
+
+      // Skip whitespace before the answer (and around the reasoning block)
+      const trimmed = rest.trimStart();
+      if (!trimmed) {
+        break;
+      }
+      if (trimmed.startsWith(OPEN_TAG)) {
+        rest = trimmed.slice(OPEN_TAG.length);
+        this._inReasoning = true;
+        continue;
+      }
+      if (!final && OPEN_TAG.startsWith(trimmed)) {
+        // Could still become <think>; wait for more text
+        this._pending = trimmed;
+        break;
+      }
+      this._atStart = false;
+      rest = trimmed;
+    }
+
+    return result;
+  }
+
+  /**
+   * Add answer text to a split
+   * @private
+   */
+  _emit(result, text) {
+    if (text) {
+      result.response += text;
+      this._lastChar = text[text.length - 1];
+    }
+  }
+
+  /**
+   * Index in `text` of the first closing tag on a line of its own (or at
+   * the end of the text), -1 when there is none
+   * @private
+   */
+  _findLineCloseTag(text) {
+    // The answer text emitted before decides whether `text` starts a line
+    const line = this._lastChar + text;
+    let index = line.indexOf(LINE_CLOSE_TAG);
+    while (index !== -1) {
+      const next = line[index + LINE_CLOSE_TAG.length];
+      if (next === undefined || /\s/.test(next)) {
+        return index;
+      }
+      index = line.indexOf(LINE_CLOSE_TAG, index + 1);
+    }
+    return -1;
+  }
+
+  /**
+   * Length of the end of `text` that could still become a closing tag on a
+   * line of its own
+   * @private
+   */
+  _partialLineTagLength(text) {
+    const held = this._partialTagLength(this._lastChar + text, LINE_CLOSE_TAG);
+    return Math.min(held, text.length);
+  }
+
+  /**
+   * Length of the longest suffix of `text` that starts `tag`
+   * @private
+   */
+  _partialTagLength(text, tag) {
+    for (
+      let length = Math.min(tag.length - 1, text.length);
+      length > 0;
+      length--
+    ) {
+      if (tag.startsWith(text.slice(text.length - length))) {
+        return length;
+      }
+    }
+    return 0;
+  }
+}
+
+module.exports = ReasoningParser;
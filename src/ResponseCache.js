@@ -0,0 +1,303 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const ConfigHelper = require("./ConfigHelper");
+
+/**
+ * Disk-backed cache of model responses, keyed by a request fingerprint.
+ *
+ * Entries expire after `ttl` and the least recently used ones are evicted
+ * once the cache grows past `maxSize`. Identical requests that are in
+ * flight at the same time share one upstream call.
+ */
+class ResponseCache {
+  /**
+   * @param {object} options - Cache settings
+   * @param {string} options.dir - Cache directory (default: ~/.ai-client/cache)
+   * @param {number} options.ttl - Time to live of an entry in ms (default: 24 hours)
+   * @param {number} options.maxSize - Maximum total size in bytes (default: 50 MB)
+   * @param {boolean} options.refresh - Never read entries, only write them (default: false)
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(ConfigHelper.getUserDataDir(), "cache");
+    this.ttl = options.ttl ?? 24 * 60 * 60 * 1000;
+    this.maxSize = options.maxSize ?? 50 * 1024 * 1024;
+    this.refresh = options.refresh ?? false;
+    this.inFlight = new Map();
+    // Total size of the entries, counted once and then kept up to date
+    this.size = null;
+  }
+
+  /**
+   * Read cache settings from environment variables
+   * @returns {object} - Options for the constructor
+   */
+  static fromEnv() {
+    const options = {};
+    if (process.env.CACHE_DIR) options.dir = process.env.CACHE_DIR;
+    if (process.env.CACHE_TTL) options.ttl = parseInt(process.env.CACHE_TTL);
+    if (process.env.CACHE_MAX_SIZE)
+      options.maxSize = parseInt(process.env.CACHE_MAX_SIZE);
+    return options;
+  }
+
+  /**
+   * Compute the cache key of a request
+   * @param {object} request - Everything that identifies the request (format, URL, body)
+   * @returns {string} - Hex digest
+   */
+  static fingerprint(request) {
+    return crypto
+      .createHash("sha256")
+      .update(stableStringify(request))
+      .digest("hex");
+  }
+
+  /**
+   * Get a cached response, or compute and cache it. Concurrent calls with
+   * the same key share one computation. The computation gets its own
+   * AbortSignal, aborted only once every caller waiting for it has aborted;
+   * a caller that aborts stops waiting right away.
+   * @param {string} key - Request fingerprint
+   * @param {function} compute - Called with an AbortSignal; returns a promise of the response
+   * @param {object} options - Lookup options
+   * @param {boolean} options.refresh - Skip the lookup and overwrite the entry (default: the cache's `refresh` setting)
+   * @param {AbortSignal} options.signal - Stops waiting when aborted
+   * @returns {Promise<{value: *, cached: boolean}>}
+   */
+  async wrap(key, compute, { refresh = this.refresh, signal } = {}) {
+    let shared = this.inFlight.get(key);
+    if (!shared) {
+      const controller = new AbortController();
+      shared = { controller, waiters: 0 };
+      shared.promise = (async () => {
+        if (!refresh) {
+          const value = await this.get(key);
+          if (value !== undefined) {
+            return { value, cached: true };
+          }
+        }
+        const value = await compute(controller.signal);
+        await this.set(key, value);
+        return { value, cached: false };
+      })().finally(() => {
+        if (this.inFlight.get(key) === shared) this.inFlight.delete(key);
+      });
+      this.inFlight.set(key, shared);
+    }
+
+    shared.waiters++;
+    let done = false;
+    const leave = () => {
+      if (done) return;
+      done = true;
+      shared.waiters--;
+    };
+    try {
+      return await waitFor(shared.promise, signal, () => {
+        leave();
+        if (shared.waiters === 0) {
+          // Nobody is waiting any more: later callers start a new request
+          if (this.inFlight.get(key) === shared) this.inFlight.delete(key);
+          shared.controller.abort();
+        }
+      });
+    } finally {
+      leave();
+    }
+  }
+
+  /**
+   * Read an entry
+   * @param {string} key - Request fingerprint
+   * @returns {Promise<*>} - The cached value, or undefined when missing or expired
+   */
+  async get(key) {
+    const file = this._getEntryPath(key);
+    try {
+      const entry = JSON.parse(await fs.readFile(file, "utf8"));
+      if (Date.now() - entry.createdAt > this.ttl) {
+        await this._unlink(file);
+        return undefined;
+      }
+
+      // The modification time records the last use, for LRU eviction
+      const now = new Date();
+      await fs.utimes(file, now, now).catch(() => {});
+      return entry.value;
+    } catch (error) {
+      // Missing or unreadable entries are cache misses
+      return undefined;
+    }
+  }
+
+  /**
+   * Write an entry, evicting least recently used entries over the size cap.
+   * Write failures are ignored: the cache never fails a request.
+   * @param {string} key - Request fingerprint
+   * @param {*} value - JSON-serializable value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    try {
+      const file = this._getEntryPath(key);
+      const data = JSON.stringify({ key, createdAt: Date.now(), value });
+      if (this.size === null) {
+        this.size = (await this.stats()).size;
+      }
+      const previous = await fs.stat(file).catch(() => null);
+
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(file, data);
+      this.size += Buffer.byteLength(data) - (previous ? previous.size : 0);
+      if (this.size > this.maxSize) {
+        await this._evict();
+      }
+    } catch (error) {
+      // Ignore
+    }
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Request fingerprint
+   * @returns {Promise<boolean>} - Whether an entry was removed
+   */
+  async delete(key) {
+    return this._unlink(this._getEntryPath(key));
+  }
+
+  /**
+   * Remove all entries
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  async clear() {
+    const entries = await this._listEntries();
+    await Promise.all(entries.map((entry) => fs.unlink(entry.file)));
+    this.size = null;
+    return entries.length;
+  }
+
+  /**
+   * Entry count and total size
+   * @returns {Promise<{entries: number, size: number}>}
+   */
+  async stats() {
+    const entries = await this._listEntries();
+    return {
+      entries: entries.length,
+      size: entries.reduce((total, entry) => total + entry.size, 0),
+    };
+  }
+
+  /**
+   * Delete least recently used entries until the cache fits in maxSize. The
+   * directory is listed again, which also corrects the running total for
+   * entries written by other processes.
+   * @private
+   */
+  async _evict() {
+    const entries = await this._listEntries();
+    let size = entries.reduce((total, entry) => total + entry.size, 0);
+
+    entries.sort((a, b) => a.usedAt - b.usedAt);
+    for (const entry of entries) {
+      if (size <= this.maxSize) break;
+      await fs.unlink(entry.file).catch(() => {});
+      size -= entry.size;
+    }
+    this.size = size;
+  }
+
+  /**
+   * Remove an entry file and take it off the running total
+   * @private
+   * @returns {Promise<boolean>} - Whether the file was removed
+   */
+  async _unlink(file) {
+    try {
+      const { size } = await fs.stat(file);
+      await fs.unlink(file);
+      if (this.size !== null) this.size -= size;
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _listEntries() {
+    let names;
+    try {
+      names = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const entries = [];
+    for (const name of names.filter((name) => name.endsWith(".json"))) {
+      const file = path.join(this.dir, name);
+      try {
+        const { size, mtimeMs } = await fs.stat(file);
+        entries.push({ file, size, usedAt: mtimeMs });
+      } catch (error) {
+        // Removed concurrently
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * @private
+   */
+  _getEntryPath(key) {
+    if (!/^[a-f0-9]+$/.test(key)) {
+      throw new Error(`Invalid cache key '${key}'`);
+    }
+    return path.join(this.dir, `${key}.json`);
+  }
+}
+
+/**
+ * Wait for a promise unless the signal aborts first
+ * @param {Promise} promise - Promise to wait for
+ * @param {AbortSignal} signal - Caller's signal (optional)
+ * @param {function} onAbort - Called when the caller stops waiting
+ */
+function waitFor(promise, signal, onAbort) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      onAbort();
+      reject(signal.reason);
+    };
+    if (signal.aborted) {
+      abort();
+      return;
+    }
+    signal.addEventListener("abort", abort, { once: true });
+    promise
+      .finally(() => signal.removeEventListener("abort", abort))
+      .then(resolve, reject);
+  });
+}
+
+// JSON.stringify with sorted object keys, so equal requests hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+module.exports = ResponseCache;
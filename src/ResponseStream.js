@@ -0,0 +1,173 @@
+const { Readable } = require("stream");
+
+/**
+ * Async iterable over the chunks of a streaming response.
+ *
+ * The request starts on first use (iteration, final() or toReadable()).
+ * Chunks can be consumed once; final() is available at any time.
+ */
+class ResponseStream {
+  /**
+   * @param {function} start - Called with (onChunk, signal), resolves with the aggregated result
+   * @param {AbortSignal} signal - Optional caller signal, forwarded to the request
+   */
+  constructor(start, signal) {
+    this._start = start;
+    this._controller = new AbortController();
+    this._chunks = [];
+    this._waiting = null;
+    this._finished = false;
+    this._error = null;
+    this._resultPromise = null;
+    this._iterated = false;
+
+    // Forward the caller's abort until the stream ends
+    this._signal = signal;
+    this._onAbort = () => this._controller.abort(signal.reason);
+    if (signal) {
+      if (signal.aborted) {
+        this._onAbort();
+      } else {
+        signal.addEventListener("abort", this._onAbort, { once: true });
+      }
+    }
+  }
+
+  /**
+   * Cancel the request
+   * @param {*} reason - Optional abort reason
+   */
+  abort(reason) {
+    this._controller.abort(reason);
+  }
+
+  /**
+   * Wait for the end of the stream
+   * @returns {Promise<object>} - Full text, model, usage and finish reason ({ response, model, usage, finish_reason })
+   */
+  final() {
+    return this._run();
+  }
+
+  /**
+   * Convert to a Node.js Readable, e.g. to pipe into an HTTP response
+   * @param {object} options - Readable options
+   * @param {boolean} options.objectMode - Emit chunk objects instead of text (default: false)
+   * @returns {Readable}
+   */
+  toReadable({ objectMode = false } = {}) {
+    const iterator = this[Symbol.asyncIterator]();
+
+    async function* read() {
+      for await (const chunk of { [Symbol.asyncIterator]: () => iterator }) {
+        if (objectMode) {
+          yield chunk;
+        } else if (chunk.response) {
+          yield chunk.response;
+        }
+      }
+    }
+
+    const readable = Readable.from(read(), { objectMode });
+    // Destroying the readable (e.g. client disconnected) cancels the request
+    readable.on("close", () => {
+      if (!this._finished) this.abort();
+    });
+    return readable;
+  }
+
+  [Symbol.asyncIterator]() {
+    if (this._iterated) {
+      throw new Error("A response stream can only be iterated once");
+    }
+    this._iterated = true;
+    this._run().catch(() => {
+      // Surfaced through next()
+    });
+
+    return {
+      next: () => {
+        if (this._chunks.length > 0) {
+          return Promise.resolve({ value: this._chunks.shift(), done: false });
+        }
+        if (this._error) {
+          return Promise.reject(this._error);
+        }
+        if (this._finished) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve, reject) => {
+          this._waiting = { resolve, reject };
+        });
+      },
+      return: () => {
+        // Leaving a for-await loop early cancels the request
+        if (!this._finished) this.abort();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+    };
+  }
+
+  /**
+   * Start the request once
+   * @private
+   */
+  _run() {
+    if (!this._resultPromise) {
+      this._resultPromise = this._start(
+        (chunk) => this._push(chunk),
+        this._controller.signal,
+      )
+        .then(
+          (result) => {
+            this._finished = true;
+            this._settle();
+            return result;
+          },
+          (error) => {
+            this._finished = true;
+            this._error = error;
+            this._settle();
+            throw error;
+          },
+        )
+        .finally(() => {
+          this._signal?.removeEventListener("abort", this._onAbort);
+        });
+    }
+    return this._resultPromise;
+  }
+
+  /**
+   * Queue a chunk, or hand it to a waiting consumer
+   * @private
+   */
+  _push(chunk) {
+    if (this._waiting) {
+      const { resolve } = this._waiting;
+      this._waiting = null;
+      resolve({ value: chunk, done: false });
+    } else if (this._iterated) {
+      this._chunks.push(chunk);
+    }
+  }
+
+  /**
+   * Wake up a waiting consumer at the end of the stream
+   * @private
+   */
+  _settle() {
+    if (!this._waiting) {
+      return;
+    }
+    const { resolve, reject } = this._waiting;
+    this._waiting = null;
+    if (this._error) {
+      reject(this._error);
+    } else {
+      resolve({ value: undefined, done: true });
+    }
+  }
+}
+
+module.exports = ResponseStream;
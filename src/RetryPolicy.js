@@ -0,0 +1,172 @@
+// HTTP statuses where the server did not process the request: timeouts,
+// rate limits and overload (529 is Anthropic's "overloaded"). Other 5xx
+// errors may come after a generation ran, and are only retried when listed
+// in `statuses`.
+const RETRYABLE_STATUSES = [408, 425, 429, 503, 529];
+
+// Failures before a connection was made, so the request never reached the
+// server. ECONNRESET and timeouts are only retried when listed in `codes`.
+const RETRYABLE_CODES = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"];
+
+class RetryPolicy {
+  /**
+   * @param {object} options - Retry settings
+   * @param {number} options.maxAttempts - Total attempts including the first one (default: 3, 1 disables retries)
+   * @param {number} options.baseDelay - Delay before the first retry in ms (default: 500)
+   * @param {number} options.maxDelay - Upper bound for a single delay in ms (default: 30000)
+   * @param {number} options.factor - Backoff multiplier per attempt (default: 2)
+   * @param {boolean} options.jitter - Randomize delays to spread out retries (default: true)
+   * @param {boolean} options.respectRetryAfter - Wait as long as the Retry-After header asks (default: true)
+   * @param {number[]} options.statuses - HTTP statuses to retry
+   * @param {string[]} options.codes - Network error codes to retry
+   * @param {function} options.onRetry - Called before each retry with { attempt, maxAttempts, delay, error }
+   */
+  constructor(options = {}) {
+    this.maxAttempts = Math.max(1, options.maxAttempts ?? 3);
+    this.baseDelay = options.baseDelay ?? 500;
+    this.maxDelay = options.maxDelay ?? 30000;
+    this.factor = options.factor ?? 2;
+    this.jitter = options.jitter ?? true;
+    this.respectRetryAfter = options.respectRetryAfter ?? true;
+    this.statuses = options.statuses || RETRYABLE_STATUSES;
+    this.codes = options.codes || RETRYABLE_CODES;
+    this.onRetry = options.onRetry;
+  }
+
+  /**
+   * Read retry settings from environment variables
+   * @returns {object} - Options for the constructor
+   */
+  static fromEnv() {
+    const options = {};
+    if (process.env.RETRY_MAX_ATTEMPTS)
+      options.maxAttempts = parseInt(process.env.RETRY_MAX_ATTEMPTS);
+    if (process.env.RETRY_BASE_DELAY)
+      options.baseDelay = parseInt(process.env.RETRY_BASE_DELAY);
+    if (process.env.RETRY_MAX_DELAY)
+      options.maxDelay = parseInt(process.env.RETRY_MAX_DELAY);
+    return options;
+  }
+
+  /**
+   * Run a request, retrying it on retryable failures
+   * @param {function} request - Function returning a promise, called with the attempt number
+   * @param {object} options - Execution options
+   * @param {AbortSignal} options.signal - Stops retrying (and waiting) once aborted
+   * @param {function} options.canRetry - Called with the error; returning false stops retrying
+   * @returns {Promise<*>} - Result of the first successful attempt
+   */
+  async execute(request, { signal, canRetry = () => true } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await request(attempt);
+      } catch (error) {
+        if (
+          attempt >= this.maxAttempts ||
+          signal?.aborted ||
+          !this.isRetryable(error) ||
+          !canRetry(error)
+        ) {
+          throw error;
+        }
+
+        const delay = this.getDelay(attempt, error);
+        if (delay === null) {
+          throw error;
+        }
+
+        if (this.onRetry) {
+          this.onRetry({
+            attempt: attempt + 1,
+            maxAttempts: this.maxAttempts,
+            delay,
+            error,
+          });
+        }
+        await this._sleep(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * Check whether a failed request can be retried
+   * @param {Error} error - Axios error
+   * @returns {boolean}
+   */
+  isRetryable(error) {
+    if (error.response) {
+      return this.statuses.includes(error.response.status);
+    }
+    return this.codes.includes(error.code);
+  }
+
+  /**
+   * Get the delay before the next attempt
+   * @param {number} attempt - Number of the attempt that just failed
+   * @param {Error} error - Axios error
+   * @returns {number|null} - Delay in ms, or null if the server asks to wait longer than maxDelay
+   */
+  getDelay(attempt, error) {
+    const retryAfter = this.respectRetryAfter
+      ? RetryPolicy.parseRetryAfter(error.response?.headers)
+      : null;
+    if (retryAfter !== null) {
+      return retryAfter <= this.maxDelay ? retryAfter : null;
+    }
+
+    const delay = Math.min(
+      this.maxDelay,
+      this.baseDelay * Math.pow(this.factor, attempt - 1),
+    );
+    // "Equal jitter": keep half of the delay, randomize the other half
+    return this.jitter
+      ? Math.round(delay / 2 + Math.random() * (delay / 2))
+      : delay;
+  }
+
+  /**
+   * Wait before the next attempt, rejecting early if the signal aborts
+   * @private
+   */
+  _sleep(delay, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      }, delay);
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Parse Retry-After (seconds or HTTP date) or retry-after-ms headers
+   * @param {object} headers - Response headers
+   * @returns {number|null} - Delay in ms, or null if the headers do not set one
+   */
+  static parseRetryAfter(headers) {
+    if (!headers) {
+      return null;
+    }
+
+    const retryAfterMs = parseFloat(headers["retry-after-ms"]);
+    if (!isNaN(retryAfterMs)) {
+      return Math.max(0, retryAfterMs);
+    }
+
+    const retryAfter = headers["retry-after"];
+    if (retryAfter === undefined) {
+      return null;
+    }
+    if (/^\d+(\.\d+)?$/.test(String(retryAfter).trim())) {
+      return Math.round(parseFloat(retryAfter) * 1000);
+    }
+    const date = Date.parse(retryAfter);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+}
+
+module.exports = RetryPolicy;
@@ -0,0 +1,120 @@
+/**
+ * Incremental parser for Server-Sent Events (text/event-stream).
+ *
+ * Follows the WHATWG event stream interpretation rules: LF, CRLF and CR line
+ * endings, `:` comment lines, multi-line `data:` fields and events
+ * dispatched on blank lines.
+ */
+class SSEParser {
+  constructor() {
+    this._buffer = "";
+    this._reset();
+  }
+
+  /**
+   * Parse the next piece of the stream
+   * @param {string} text - Decoded stream data
+   * @returns {Array<{event: string, data: string, id: string, retry: number}>} - Events completed by this piece
+   */
+  feed(text) {
+    this._buffer += text;
+    const events = [];
+
+    let match;
+    const lineBreak = /\r\n|\r|\n/g;
+    let start = 0;
+    while ((match = lineBreak.exec(this._buffer))) {
+      // A trailing CR may be the first half of a CRLF split across pieces
+      if (match[0] === "\r" && match.index === this._buffer.length - 1) {
+        break;
+      }
+      this._processLine(this._buffer.slice(start, match.index), events);
+      start = lineBreak.lastIndex;
+    }
+    this._buffer = this._buffer.slice(start);
+
+    return events;
+  }
+
+  /**
+   * Finish the stream, dispatching an event left without a trailing blank line
+   * @returns {Array<object>} - Remaining events
+   */
+  flush() {
+    const events = [];
+    if (this._buffer) {
+      this._processLine(this._buffer.replace(/\r$/, ""), events);
+      this._buffer = "";
+    }
+    this._dispatch(events);
+    return events;
+  }
+
+  /**
+   * Apply one line to the event being built
+   * @private
+   */
+  _processLine(line, events) {
+    if (line === "") {
+      this._dispatch(events);
+      return;
+    }
+    if (line.startsWith(":")) {
+      // Comment / keep-alive
+      return;
+    }
+
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? "" : line.slice(colon + 1);
+    if (value.startsWith(" ")) {
+      value = value.slice(1);
+    }
+
+    switch (field) {
+      case "event":
+        this._event = value;
+        break;
+      case "data":
+        this._data.push(value);
+        break;
+      case "id":
+        if (!value.includes("\0")) this._id = value;
+        break;
+      case "retry":
+        if (/^\d+$/.test(value)) this._retry = parseInt(value);
+        break;
+      default:
+      // Unknown fields are ignored
+    }
+  }
+
+  /**
+   * Emit the event being built, if it has data
+   * @private
+   */
+  _dispatch(events) {
+    if (this._data.length > 0) {
+      events.push({
+        event: this._event || "message",
+        data: this._data.join("\n"),
+        id: this._id,
+        retry: this._retry,
+      });
+    }
+    this._reset();
+  }
+
+  /**
+   * @private
+   */
+  _reset() {
+    this._event = "";
+    this._data = [];
+    this._retry = undefined;
+    // The last event id persists across events, as in EventSource
+    this._id = this._id || undefined;
+  }
+}
+
+module.exports = SSEParser;
@@ -0,0 +1,77 @@
+const Ajv = require("ajv");
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+/**
+ * Parses model output as JSON and validates it against a JSON Schema
+ */
+class StructuredOutput {
+  /**
+   * @param {object|null} schema - JSON Schema the output must match, or null for any JSON value
+   */
+  constructor(schema) {
+    this.schema = schema || null;
+    this._validate = this.schema ? ajv.compile(this.schema) : null;
+  }
+
+  /**
+   * Instructions telling the model how to answer
+   * @returns {string}
+   */
+  getInstructions() {
+    if (!this.schema) {
+      return "Respond only with valid JSON, without any other text.";
+    }
+    return (
+      "Respond only with valid JSON, without any other text, that matches " +
+      `this JSON Schema:\n${JSON.stringify(this.schema, null, 2)}`
+    );
+  }
+
+  /**
+   * Parse and validate a model response
+   * @param {string} text - Response text
+   * @returns {{value: *, errors: string[]}} - The parsed value, and the problems found (empty when valid)
+   */
+  parse(text) {
+    let value;
+    try {
+      value = JSON.parse(StructuredOutput.extractJSON(text));
+    } catch (error) {
+      return { value: undefined, errors: [`Invalid JSON: ${error.message}`] };
+    }
+
+    if (this._validate && !this._validate(value)) {
+      const errors = this._validate.errors.map(
+        (error) => `${error.instancePath || "(root)"} ${error.message}`,
+      );
+      return { value, errors };
+    }
+    return { value, errors: [] };
+  }
+
+  /**
+   * Extract the JSON text from a response, dropping Markdown code fences and
+   * any prose around the JSON value
+   * @param {string} text - Response text
+   * @returns {string}
+   */
+  static extractJSON(text) {
+    const trimmed = (text || "").trim();
+    const fenced = trimmed.match(/```(?:json)?\s*\n?([\s\S]*?)```/i);
+    if (fenced) {
+      return fenced[1].trim();
+    }
+    if (/^[[{]/.test(trimmed)) {
+      return trimmed;
+    }
+
+    const start = trimmed.search(/[[{]/);
+    const end = Math.max(trimmed.lastIndexOf("}"), trimmed.lastIndexOf("]"));
+    return start !== -1 && end > start
+      ? trimmed.slice(start, end + 1)
+      : trimmed;
+  }
+}
+
+module.exports = StructuredOutput;
@@ -0,0 +1,300 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const ConfigHelper = require("./ConfigHelper");
+const { mapConcurrent } = require("./concurrency");
+const { addUsage } = require("./usage");
+
+const DEFAULT_CHUNK_TOKENS = 3000;
+const DEFAULT_OVERLAP_TOKENS = 200;
+const DEFAULT_CONCURRENCY = 4;
+
+// Prompt of the map pass, run once per chunk
+const PART_PROMPT = `You are summarizing part {{part}} of {{parts}} of a longer document. Write concise notes on this part only. Keep every main point, decision, name, number and action item, in the original order. Do not add an introduction or a conclusion.
+
+**Part {{part}} of {{parts}}**:
+{{content}}`;
+
+// Added to the template's instructions when the reduce pass gets partial
+// summaries instead of the original content
+const MERGE_INSTRUCTIONS =
+  "The content is a series of notes on consecutive parts of one long document. Summarize the whole document from them, merging points that appear in more than one part.";
+
+// Template variables that are not set by the caller
+const DEFAULT_VARIABLES = {
+  type: "general",
+  length: "medium",
+  audience: "general",
+  instructions: "None",
+};
+
+/**
+ * Map-reduce summarization of content larger than the model's context
+ * window: the content is split into overlapping chunks, each chunk is
+ * summarized (in parallel), and the partial summaries are summarized with
+ * the `summarize` template. Progress is saved after every chunk, so an
+ * interrupted job picks up where it stopped.
+ */
+class Summarizer {
+  /**
+   * @param {AIClient} client - Client used for the requests
+   * @param {object} options - Summarizer settings
+   * @param {string} options.template - Template of the reduce pass (default: summarize)
+   * @param {number} options.chunkTokens - Tokens per chunk (default: 3000, less for small context windows)
+   * @param {number} options.overlapTokens - Tokens shared by consecutive chunks (default: 200)
+   * @param {number} options.concurrency - Chunks summarized at the same time (default: 4)
+   * @param {string} options.dir - Directory of unfinished jobs (default: ~/.ai-client/summaries)
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.template = options.template || "summarize";
+    this.chunkTokens = options.chunkTokens;
+    this.overlapTokens = options.overlapTokens ?? DEFAULT_OVERLAP_TOKENS;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.dir = options.dir || Summarizer.getDefaultDir();
+  }
+
+  /**
+   * Directory of unfinished summarization jobs
+   * @returns {string}
+   */
+  static getDefaultDir() {
+    return path.join(ConfigHelper.getUserDataDir(), "summaries");
+  }
+
+  /**
+   * Summarize content of any length
+   * @param {string} content - Content to summarize
+   * @param {object} options - Summarization and request options
+   * @param {object} options.variables - Template variables: type, length, audience, instructions
+   * @param {boolean} options.resume - Reuse the partial summaries of an unfinished job for the same content (default: true)
+   * @param {function} options.onProgress - Called with { stage: "map" | "reduce", level, done, total, resumed }
+   * @param {AbortSignal} options.signal - Cancels the job when aborted; finished parts are kept
+   * @returns {Promise<object>} - The final response, plus `parts` (chunks of the content), `levels` (map passes) and `resumed` (parts reused from an earlier run)
+   */
+  async summarize(content, options = {}) {
+    const {
+      variables = {},
+      resume = true,
+      onProgress = () => {},
+      ...requestOptions
+    } = options;
+    const model = requestOptions.model || this.client.model;
+    const chunkTokens =
+      this.chunkTokens || this._getDefaultChunkTokens(model, requestOptions);
+    const jobId = crypto
+      .createHash("sha1")
+      .update(JSON.stringify([model, chunkTokens, this.overlapTokens, content]))
+      .digest("hex");
+
+    const job = (resume && (await this._loadJob(jobId))) || {
+      id: jobId,
+      model,
+      createdAt: new Date().toISOString(),
+      levels: [],
+    };
+    const resumed = job.levels
+      .flat()
+      .filter((summary) => summary != null).length;
+
+    let usage;
+    let text = content;
+    let parts = 1;
+    let level = 0;
+    for (; ; level++) {
+      const chunks = this.split(text, { model, chunkTokens });
+      if (level === 0) parts = chunks.length;
+      // Stop when the text fits one request, or when summarizing no longer
+      // shrinks it
+      const previous = job.levels[level - 1];
+      if (chunks.length <= 1 || (previous && chunks.length >= previous.length))
+        break;
+
+      const summaries = (job.levels[level] = job.levels[level] || []);
+      const total = chunks.length;
+      let done = summaries.filter((summary) => summary != null).length;
+      onProgress({ stage: "map", level, done, total, resumed });
+
+      await mapConcurrent(
+        chunks,
+        this.concurrency,
+        async (chunk, index) => {
+          if (summaries[index] != null) return;
+
+          const prompt = this.client.replaceTemplateVariables(PART_PROMPT, {
+            part: index + 1,
+            parts: total,
+            content: chunk,
+          });
+          const response = await this.client.generate(prompt, {
+            template: this.template,
+            ...requestOptions,
+          });
+          usage = addUsage(usage, response.usage);
+          summaries[index] = response.response.trim();
+          await this._saveJob(job);
+          onProgress({ stage: "map", level, done: ++done, total, resumed });
+        },
+        { signal: requestOptions.signal },
+      );
+      text = summaries.join("\n\n");
+    }
+
+    onProgress({ stage: "reduce", level, done: 0, total: 1, resumed });
+    const merged = { ...DEFAULT_VARIABLES, ...variables };
+    if (level > 0) {
+      merged.instructions =
+        merged.instructions && merged.instructions !== "None"
+          ? `${MERGE_INSTRUCTIONS}\n${merged.instructions}`
+          : MERGE_INSTRUCTIONS;
+    }
+    const result = await this.client.generateFromTemplate(
+      this.template,
+      { ...merged, content: text },
+      requestOptions,
+    );
+    onProgress({ stage: "reduce", level, done: 1, total: 1, resumed });
+    await this._deleteJob(jobId);
+
+    return {
+      ...result,
+      usage: addUsage(usage, result.usage),
+      parts,
+      levels: level,
+      resumed,
+    };
+  }
+
+  /**
+   * Split text into chunks of at most `chunkTokens` (estimated) tokens,
+   * preferring line breaks, with `overlapTokens` of trailing lines repeated at
+   * the start of the next chunk
+   * @param {string} text - Text to split
+   * @param {object} options - Split settings
+   * @param {string} options.model - Model the tokens are estimated for
+   * @param {number} options.chunkTokens - Tokens per chunk
+   * @returns {string[]} - The chunks
+   */
+  split(text, options = {}) {
+    const { model = this.client.model } = options;
+    const chunkTokens =
+      options.chunkTokens || this.chunkTokens || DEFAULT_CHUNK_TOKENS;
+    const estimator = this.client.tokenEstimator;
+    const count = (line) => estimator.estimate(line, model);
+
+    // Lines longer than a chunk are cut into pieces first
+    const lines = [];
+    for (const line of text.match(/[^\n]*\n|[^\n]+$/g) || []) {
+      const tokens = count(line);
+      if (tokens <= chunkTokens) {
+        lines.push({ text: line, tokens });
+        continue;
+      }
+      const size = Math.max(
+        1,
+        Math.floor((line.length * chunkTokens) / tokens),
+      );
+      for (let start = 0; start < line.length; start += size) {
+        const piece = line.slice(start, start + size);
+        lines.push({ text: piece, tokens: count(piece) });
+      }
+    }
+
+    const chunks = [];
+    let current = [];
+    let tokens = 0;
+    let fresh = false;
+    for (const line of lines) {
+      if (fresh && tokens + line.tokens > chunkTokens) {
+        chunks.push(current.map((item) => item.text).join(""));
+
+        // Carry the last lines over, within the overlap budget
+        const carried = [];
+        let carriedTokens = 0;
+        for (let i = current.length - 1; i > 0; i--) {
+          if (carriedTokens + current[i].tokens > this.overlapTokens) break;
+          carriedTokens += current[i].tokens;
+          carried.unshift(current[i]);
+        }
+        while (carried.length && carriedTokens + line.tokens > chunkTokens) {
+          carriedTokens -= carried.shift().tokens;
+        }
+        current = carried;
+        tokens = carriedTokens;
+        fresh = false;
+      }
+      current.push(line);
+      tokens += line.tokens;
+      fresh = fresh || line.text.trim() !== "";
+    }
+    if (fresh) {
+      chunks.push(current.map((item) => item.text).join(""));
+    }
+    return chunks;
+  }
+
+  /**
+   * Default chunk size: half the room left in the context window, up to
+   * DEFAULT_CHUNK_TOKENS
+   * @private
+   */
+  _getDefaultChunkTokens(model, options) {
+    const { available } = this.client.estimateTokens("", { ...options, model });
+    if (available === null) {
+      return DEFAULT_CHUNK_TOKENS;
+    }
+    return Math.max(
+      100,
+      Math.min(DEFAULT_CHUNK_TOKENS, Math.floor(available / 2)),
+    );
+  }
+
+  /**
+   * Load an unfinished job, if there is one
+   * @private
+   */
+  async _loadJob(id) {
+    try {
+      return JSON.parse(await fs.readFile(this._getJobPath(id), "utf8"));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Save the progress of a job. Saves are queued so concurrent chunks never
+   * write the file at the same time, and written to a temporary file first so
+   * an interrupted write never corrupts the job.
+   * @private
+   */
+  _saveJob(job) {
+    const file = this._getJobPath(job.id);
+    const save = (this._saving || Promise.resolve()).then(async () => {
+      job.updatedAt = new Date().toISOString();
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(`${file}.tmp`, JSON.stringify(job));
+      await fs.rename(`${file}.tmp`, file);
+    });
+    this._saving = save.catch(() => {});
+    return save;
+  }
+
+  /**
+   * Remove a finished job
+   * @private
+   */
+  async _deleteJob(id) {
+    await this._saving;
+    await fs.unlink(this._getJobPath(id)).catch(() => {});
+  }
+
+  /**
+   * Resolve the file path of a job
+   * @private
+   */
+  _getJobPath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+}
+
+module.exports = Summarizer;
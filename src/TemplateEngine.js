@@ -0,0 +1,435 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { TemplateError } = require("./errors");
+
+// Any {{ ... }} tag
+const TAG = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+// A variable: name, dotted path, `this` or `@index` / `@number`
+const PATH = "[\\w@]+(?:\\.\\w+)*";
+const VARIABLE = new RegExp(
+  `^(${PATH})(?:\\s*\\|\\s*default\\s*:\\s*("(?:[^"\\\\]|\\\\.)*"|'[^']*'))?$`,
+);
+const BLOCK_OPEN = new RegExp(`^#(if|each)\\s+(${PATH})$`);
+const BLOCK_CLOSE = /^\/(if|each)$/;
+const PARTIAL = /^>\s*([\w./-]+)$/;
+// A `..` segment of a partial name, which would leave the templates directory
+const PARENT_SEGMENT = /(^|\/)\.\.(\/|$)/;
+
+/**
+ * Whether a value counts as missing for defaults and {{#if}}: undefined,
+ * null, false, a blank string or an empty list
+ */
+function isEmpty(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === false ||
+    (typeof value === "string" && value.trim() === "") ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+// Text of a value in the prompt
+function format(value) {
+  if (Array.isArray(value)) return value.map(format).join(", ");
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Renders prompt templates. Besides `{{variable}}` placeholders, templates
+ * support:
+ *
+ * - `{{variable|default:"text"}}` - used when the variable is missing or empty
+ * - `{{#if variable}}...{{else}}...{{/if}}` - sections that drop out when empty
+ * - `{{#each list}}...{{else}}...{{/each}}` - one copy per item, with the
+ *   item's fields, `{{this}}`, `{{@index}}` (from 0) and `{{@number}}` (from 1)
+ * - `{{> name}}` - the template `prompts/<name>.txt`, e.g. `{{> partials/footer}}`
+ *
+ * A block tag alone on its line removes the whole line. Unresolved variables
+ * and unknown blocks such as `{{#unless}}` are left as they are, or throw a
+ * TemplateError in strict mode.
+ */
+class TemplateEngine {
+  /**
+   * @param {object} options - Engine settings
+   * @param {string} options.dir - Templates directory (default: ./prompts)
+   * @param {boolean} options.strict - Throw on unresolved variables (default: false)
+   */
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.strict = Boolean(options.strict);
+    // Loaded partials by name
+    this.partials = {};
+  }
+
+  /**
+   * Templates directory, relative to the working directory unless set
+   * @returns {string}
+   */
+  getDir() {
+    return this.dir || path.join(process.cwd(), "prompts");
+  }
+
+  /**
+   * Load a template, and the partials it includes
+   * @param {string} name - Template name (file name without .txt)
+   * @returns {Promise<string>} - The template source
+   */
+  async load(name) {
+    const source = await this._read(name);
+    // Any template can be included by another one
+    this.partials[name] = source;
+    await this._loadPartials(source, name, new Set());
+    return source;
+  }
+
+  /**
+   * Render a template
+   * @param {string} template - Template source
+   * @param {object} variables - Variable values
+   * @param {object} options - Render options
+   * @param {boolean} options.strict - Throw on unresolved variables (default: the engine's setting)
+   * @param {string} options.name - Template name for error messages
+   * @returns {string} - The rendered text
+   */
+  render(template, variables = {}, options = {}) {
+    const context = {
+      strict: options.strict ?? this.strict,
+      // Names of the template and the partials being rendered
+      partials: options.name ? [options.name] : [],
+    };
+    return this._renderNodes(
+      this.parse(template, options.name),
+      [{ data: variables }],
+      context,
+    );
+  }
+
+  /**
+   * Variables a template reads from its caller, including those of its
+   * (loaded) partials. Fields of {{#each}} items are not listed.
+   * @param {string} template - Template source
+   * @returns {Array<{name: string, default: string|undefined, list: boolean}>} - `list` is set for {{#each}} variables
+   */
+  listVariables(template) {
+    const variables = new Map();
+    const add = (variablePath, fields = {}) => {
+      const name = variablePath.split(".")[0];
+      if (name === "this" || name.startsWith("@")) return;
+      const variable = variables.get(name) || {
+        name,
+        default: undefined,
+        list: false,
+      };
+      variable.default = variable.default ?? fields.default;
+      variable.list = variable.list || Boolean(fields.list);
+      variables.set(name, variable);
+    };
+
+    const visit = (nodes, seen) => {
+      for (const node of nodes) {
+        if (node.type === "variable") {
+          add(node.path, { default: node.default });
+        } else if (node.type === "if") {
+          add(node.path);
+          visit(node.body, seen);
+          visit(node.else, seen);
+        } else if (node.type === "each") {
+          add(node.path, { list: true });
+          visit(node.else, seen);
+        } else if (
+          node.type === "partial" &&
+          this.partials[node.name] !== undefined &&
+          !seen.has(node.name)
+        ) {
+          visit(
+            this.parse(this.partials[node.name], node.name),
+            new Set(seen).add(node.name),
+          );
+        }
+      }
+    };
+    visit(this.parse(template), new Set());
+    return [...variables.values()];
+  }
+
+  /**
+   * Parse a template into a tree of text, variable, if, each and partial
+   * nodes
+   * @param {string} template - Template source
+   * @param {string} name - Template name for error messages
+   * @returns {object[]} - The nodes
+   */
+  parse(template, name) {
+    const root = { body: [] };
+    const stack = [root];
+    // Body that new nodes go to: the open block's body, or its else branch
+    const target = () => {
+      const block = stack[stack.length - 1];
+      return block.inElse ? block.else : block.body;
+    };
+    const fail = (message) => {
+      throw new TemplateError(
+        name ? `${message} in template '${name}'` : message,
+        { code: "template_syntax" },
+      );
+    };
+
+    let cursor = 0;
+    let match;
+    TAG.lastIndex = 0;
+    while ((match = TAG.exec(template))) {
+      const [raw, expression] = match;
+      let start = match.index;
+      let end = TAG.lastIndex;
+
+      const open = expression.match(BLOCK_OPEN);
+      const close = expression.match(BLOCK_CLOSE);
+      const isElse = expression === "else";
+      if (open || close || isElse) {
+        // A block tag alone on its line takes the line with it
+        const lineStart = template.lastIndexOf("\n", start - 1) + 1;
+        const newline = template.indexOf("\n", end);
+        const lineEnd = newline === -1 ? template.length : newline + 1;
+        if (
+          lineStart >= cursor &&
+          /^[ \t]*$/.test(template.slice(lineStart, start)) &&
+          /^[ \t]*\r?\n?$/.test(template.slice(end, lineEnd))
+        ) {
+          start = lineStart;
+          end = lineEnd;
+          TAG.lastIndex = end;
+        }
+      }
+
+      if (start > cursor) {
+        target().push({ type: "text", value: template.slice(cursor, start) });
+      }
+      cursor = end;
+
+      if (open) {
+        const block = { type: open[1], path: open[2], body: [], else: [] };
+        target().push(block);
+        stack.push(block);
+      } else if (close) {
+        const block = stack.pop();
+        if (block === root || block.type !== close[1]) {
+          fail(`Unexpected {{/${close[1]}}}`);
+        }
+      } else if (isElse) {
+        const block = stack[stack.length - 1];
+        if (block === root || block.inElse) fail("Unexpected {{else}}");
+        block.inElse = true;
+      } else if (PARTIAL.test(expression)) {
+        const partial = expression.match(PARTIAL)[1];
+        if (PARENT_SEGMENT.test(partial)) {
+          fail(`Partial '${partial}' is outside the templates directory`);
+        }
+        target().push({ type: "partial", name: partial });
+      } else if (VARIABLE.test(expression)) {
+        const [, variablePath, fallback] = expression.match(VARIABLE);
+        target().push({
+          type: "variable",
+          path: variablePath,
+          default:
+            fallback === undefined
+              ? undefined
+              : fallback.startsWith('"')
+                ? JSON.parse(fallback)
+                : fallback.slice(1, -1),
+          raw,
+        });
+      } else if (/^[#/]/.test(expression)) {
+        // Left as it is, unless rendered in strict mode
+        target().push({ type: "text", value: raw, unknownBlock: true });
+      } else {
+        // Not a tag, e.g. literal braces in the prompt
+        target().push({ type: "text", value: raw });
+      }
+    }
+    if (cursor < template.length) {
+      target().push({ type: "text", value: template.slice(cursor) });
+    }
+    if (stack.length > 1) {
+      fail(`Unclosed {{#${stack[stack.length - 1].type}}}`);
+    }
+    return root.body;
+  }
+
+  /**
+   * @private
+   */
+  _renderNodes(nodes, scopes, context) {
+    let output = "";
+    for (const node of nodes) {
+      if (node.type === "text") {
+        if (node.unknownBlock && context.strict) {
+          const where = context.partials.at(-1);
+          throw new TemplateError(
+            `Unknown block ${node.value}${where ? ` in template '${where}'` : ""}`,
+            { code: "template_syntax" },
+          );
+        }
+        output += node.value;
+      } else if (node.type === "variable") {
+        output += this._renderVariable(node, scopes, context);
+      } else if (node.type === "if") {
+        const value = this._lookup(node.path, scopes);
+        output += this._renderNodes(
+          isEmpty(value) ? node.else : node.body,
+          scopes,
+          context,
+        );
+      } else if (node.type === "each") {
+        const value = this._lookup(node.path, scopes);
+        if (isEmpty(value)) {
+          output += this._renderNodes(node.else, scopes, context);
+          continue;
+        }
+        const items = Array.isArray(value) ? value : [value];
+        items.forEach((item, index) => {
+          output += this._renderNodes(
+            node.body,
+            [...scopes, { data: item, index }],
+            context,
+          );
+        });
+      } else if (node.type === "partial") {
+        output += this._renderPartial(node.name, scopes, context);
+      }
+    }
+    return output;
+  }
+
+  /**
+   * @private
+   */
+  _renderVariable(node, scopes, context) {
+    const value = this._lookup(node.path, scopes);
+    if (isEmpty(value) && node.default !== undefined) {
+      return node.default;
+    }
+    if (value === undefined || value === null) {
+      if (context.strict) {
+        const where = context.partials.at(-1);
+        throw new TemplateError(
+          `Missing template variable '${node.path}'${where ? ` in template '${where}'` : ""}`,
+          { code: "unresolved_variable" },
+        );
+      }
+      return node.raw;
+    }
+    return format(value);
+  }
+
+  /**
+   * @private
+   */
+  _renderPartial(name, scopes, context) {
+    if (this.partials[name] === undefined) {
+      throw new TemplateError(
+        `Partial '${name}' is not loaded. Load the template that includes it with loadPromptTemplate()`,
+        { code: "partial_not_found" },
+      );
+    }
+    if (context.partials.includes(name)) {
+      const chain = [...context.partials, name].join(" > ");
+      throw new TemplateError(`Partial '${name}' includes itself: ${chain}`, {
+        code: "template_syntax",
+      });
+    }
+    context.partials.push(name);
+    const output = this._renderNodes(
+      this.parse(this.partials[name], name),
+      scopes,
+      context,
+    );
+    context.partials.pop();
+    // Like loaded templates, a partial ends with its last non-blank line,
+    // whichever of its sections were left out
+    return output.trimEnd();
+  }
+
+  /**
+   * Resolve a variable path: the innermost {{#each}} item that has the field
+   * wins, then the caller's variables
+   * @private
+   */
+  _lookup(variablePath, scopes) {
+    const [first, ...rest] = variablePath.split(".");
+    const scope = scopes[scopes.length - 1];
+    let value;
+    if (first === "this") {
+      value = scope.data;
+    } else if (first === "@index") {
+      value = scope.index;
+    } else if (first === "@number") {
+      value = scope.index === undefined ? undefined : scope.index + 1;
+    } else {
+      const owner = [...scopes]
+        .reverse()
+        .find(
+          ({ data }) =>
+            data !== null &&
+            typeof data === "object" &&
+            Object.prototype.hasOwnProperty.call(data, first),
+        );
+      value = owner?.data[first];
+    }
+    for (const key of rest) {
+      value =
+        value !== null && typeof value === "object" ? value[key] : undefined;
+    }
+    return value;
+  }
+
+  /**
+   * Load the partials of a template, and theirs
+   * @private
+   */
+  async _loadPartials(source, name, ancestors) {
+    const including = new Set(ancestors).add(name);
+    const names = new Set();
+    for (const [, expression] of source.matchAll(TAG)) {
+      const match = expression.match(PARTIAL);
+      if (match) names.add(match[1]);
+    }
+    for (const partial of names) {
+      // Reported when rendered
+      if (including.has(partial) || PARENT_SEGMENT.test(partial)) continue;
+      let content;
+      try {
+        content = await this._read(partial);
+      } catch (error) {
+        throw new TemplateError(
+          `Partial '${partial}' included by '${name}' not found. Create a file at prompts/${partial}.txt`,
+          { code: "partial_not_found", cause: error },
+        );
+      }
+      this.partials[partial] = content;
+      await this._loadPartials(content, partial, including);
+    }
+  }
+
+  /**
+   * Read a template file
+   * @private
+   */
+  async _read(name) {
+    const file = path.join(this.getDir(), `${name}.txt`);
+    try {
+      const content = await fs.readFile(file, "utf8");
+      return content.trim();
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(
+          `Prompt template '${name}' not found. Create a file at prompts/${name}.txt`,
+        );
+      }
+      throw new Error(`Error loading prompt template: ${error.message}`);
+    }
+  }
+}
+
+module.exports = TemplateEngine;
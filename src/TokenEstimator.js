@@ -0,0 +1,183 @@
+// Average characters per token of ASCII text, by model family. Non-ASCII
+// characters (CJK, emoji, ...) are counted as one token each.
+const MODEL_FAMILIES = [
+  {
+    name: "openai",
+    pattern: /^(gpt-|o\d|chatgpt|text-embedding)/i,
+    charsPerToken: 4,
+  },
+  { name: "claude", pattern: /^claude/i, charsPerToken: 3.5 },
+  { name: "deepseek", pattern: /deepseek/i, charsPerToken: 3.3 },
+  { name: "qwen", pattern: /qwen/i, charsPerToken: 3.3 },
+  {
+    name: "llama",
+    pattern: /llama|mistral|mixtral|gemma|phi/i,
+    charsPerToken: 3.6,
+  },
+];
+const DEFAULT_CHARS_PER_TOKEN = 3.5;
+
+// Tokens added per message for role and formatting markers
+const MESSAGE_OVERHEAD = 4;
+
+// Context windows by model name prefix; the longest matching prefix wins
+const CONTEXT_LIMITS = {
+  "gpt-4o": 128000,
+  "gpt-4.1": 1047576,
+  "gpt-4-turbo": 128000,
+  "gpt-4": 8192,
+  "gpt-3.5-turbo": 16385,
+  o1: 200000,
+  o3: 200000,
+  "o4-mini": 200000,
+  claude: 200000,
+  "deepseek-r1": 131072,
+  "deepseek-v3": 131072,
+  "deepseek-chat": 65536,
+  "deepseek-reasoner": 65536,
+  "deepseek-coder": 16384,
+  "llama3.1": 131072,
+  "llama3.2": 131072,
+  "llama3.3": 131072,
+  llama3: 8192,
+  "qwen2.5": 32768,
+  qwen3: 40960,
+  mistral: 32768,
+  gemma2: 8192,
+  gemma3: 131072,
+};
+
+/**
+ * Approximate token counts and context windows, without a tokenizer
+ */
+class TokenEstimator {
+  /**
+   * @param {object} options - Estimator settings
+   * @param {object} options.contextLimits - Context window per model name or prefix, overriding the built-in table
+   */
+  constructor(options = {}) {
+    this.contextLimits = {};
+    for (const [name, limit] of Object.entries({
+      ...CONTEXT_LIMITS,
+      ...options.contextLimits,
+    })) {
+      this.contextLimits[name.toLowerCase()] = limit;
+    }
+  }
+
+  /**
+   * Estimate the tokens of a text
+   * @param {string} text - Text to measure
+   * @param {string} model - Model name, to pick the family's ratio
+   * @returns {number}
+   */
+  estimate(text, model) {
+    if (!text) {
+      return 0;
+    }
+    const ascii = text.replace(/[^\x00-\x7f]/g, "").length;
+    const other = text.length - ascii;
+    return Math.ceil(ascii / this._getCharsPerToken(model) + other);
+  }
+
+  /**
+   * Estimate the prompt tokens of a message list
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {string} model - Model name
+   * @returns {number}
+   */
+  estimateMessages(messages, model) {
+    return messages.reduce(
+      (total, message) =>
+        total + MESSAGE_OVERHEAD + this.estimate(message.content, model),
+      3,
+    );
+  }
+
+  /**
+   * Get the context window of a model
+   * @param {string} model - Model name; an Ollama tag such as ":8b" only matters for an exact match
+   * @returns {number|null} - Tokens, or null when unknown
+   */
+  getContextLimit(model = "") {
+    const fullName = model.toLowerCase();
+    const name = fullName.split(":")[0];
+    const exact = this.contextLimits[fullName] || this.contextLimits[name];
+    if (exact) {
+      return exact;
+    }
+    const prefix = Object.keys(this.contextLimits)
+      .filter((key) => name.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? this.contextLimits[prefix] : null;
+  }
+
+  /**
+   * Shrink a conversation to a token budget: drop the oldest turns first
+   * (keeping system messages and the last message), then cut the middle
+   * out of the longest message. An assistant message with tool calls is
+   * dropped together with the tool results that answer it.
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {number} budget - Maximum prompt tokens
+   * @param {string} model - Model name
+   * @returns {{messages: Array<object>, tokens: number}} - The fitted messages and their estimate
+   */
+  fit(messages, budget, model) {
+    let fitted = [...messages];
+    let tokens = this.estimateMessages(fitted, model);
+
+    while (tokens > budget) {
+      const oldest = fitted.findIndex((message) => message.role !== "system");
+      let end = oldest + 1;
+      while (end < fitted.length && fitted[end].role === "tool") end++;
+      if (oldest === -1 || end >= fitted.length) break;
+      fitted.splice(oldest, end - oldest);
+      tokens = this.estimateMessages(fitted, model);
+    }
+
+    if (tokens > budget) {
+      const length = (message) =>
+        typeof message.content === "string" ? message.content.length : 0;
+      const longest = fitted.reduce(
+        (best, message, i) =>
+          length(message) > length(fitted[best]) ? i : best,
+        0,
+      );
+      const message = fitted[longest];
+      if (length(message) === 0) {
+        return { messages: fitted, tokens };
+      }
+      const excess = tokens - budget;
+      const keepTokens = Math.max(
+        0,
+        this.estimate(message.content, model) - excess - 20,
+      );
+      const keepChars = Math.floor(
+        (message.content.length * keepTokens) /
+          Math.max(1, this.estimate(message.content, model)),
+      );
+      const head = message.content.slice(0, Math.ceil(keepChars / 2));
+      const tail = message.content.slice(
+        message.content.length - Math.floor(keepChars / 2),
+      );
+
+      fitted[longest] = {
+        ...message,
+        content: `${head}\n\n[... ${excess} tokens truncated ...]\n\n${tail}`,
+      };
+      tokens = this.estimateMessages(fitted, model);
+    }
+
+    return { messages: fitted, tokens };
+  }
+
+  /**
+   * @private
+   */
+  _getCharsPerToken(model = "") {
+    const family = MODEL_FAMILIES.find(({ pattern }) => pattern.test(model));
+    return family ? family.charsPerToken : DEFAULT_CHARS_PER_TOKEN;
+  }
+}
+
+module.exports = TokenEstimator;
@@ -0,0 +1,121 @@
+/**
+ * Registry of local tools (functions) the model may call.
+ *
+ * A tool is `{ name, description, parameters, handler }`, where `parameters`
+ * is a JSON schema for the arguments object and `handler(args, context)`
+ * returns (or resolves to) the result sent back to the model.
+ */
+class ToolRegistry {
+  /**
+   * @param {Array<object>} tools - Tools to register
+   */
+  constructor(tools = []) {
+    this.tools = new Map();
+    for (const tool of tools) {
+      this.register(tool);
+    }
+  }
+
+  /**
+   * Create a registry from a list of tools, or return an existing registry
+   * @param {ToolRegistry|Array<object>} tools - Registry or tool list
+   * @returns {ToolRegistry}
+   */
+  static from(tools) {
+    return tools instanceof ToolRegistry ? tools : new ToolRegistry(tools);
+  }
+
+  /**
+   * Register (or replace) a tool
+   * @param {object} tool - Tool definition
+   * @param {string} tool.name - Name the model calls the tool by
+   * @param {string} tool.description - What the tool does, for the model
+   * @param {object} tool.parameters - JSON schema of the arguments object
+   * @param {function} tool.handler - `(args, context) => result`
+   * @returns {ToolRegistry} - This registry, for chaining
+   */
+  register(tool) {
+    const { name, description = "", parameters, handler } = tool || {};
+    if (typeof name !== "string" || !/^[a-zA-Z0-9_-]{1,64}$/.test(name)) {
+      throw new Error(
+        `Invalid tool name "${name}" (use up to 64 letters, digits, "-" and "_")`,
+      );
+    }
+    if (typeof handler !== "function") {
+      throw new Error(`Tool "${name}" must have a handler function`);
+    }
+
+    this.tools.set(name, {
+      name,
+      description,
+      parameters: parameters || { type: "object", properties: {} },
+      handler,
+    });
+    return this;
+  }
+
+  /**
+   * Get a registered tool
+   * @param {string} name - Tool name
+   * @returns {object|undefined}
+   */
+  get(name) {
+    return this.tools.get(name);
+  }
+
+  /**
+   * Check whether a tool is registered
+   * @param {string} name - Tool name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * List registered tool names
+   * @returns {string[]}
+   */
+  list() {
+    return [...this.tools.keys()];
+  }
+
+  /**
+   * Get the definitions sent to the model (without handlers)
+   * @returns {Array<{name: string, description: string, parameters: object}>}
+   */
+  getDefinitions() {
+    return [...this.tools.values()].map(
+      ({ name, description, parameters }) => ({
+        name,
+        description,
+        parameters,
+      }),
+    );
+  }
+
+  /**
+   * Run the handler of a tool call
+   * @param {{id: string, name: string, arguments: object|string}} call - Tool call requested by the model
+   * @param {object} context - Passed to the handler (e.g. { signal })
+   * @returns {Promise<string>} - The result, as sent back to the model
+   */
+  async execute(call, context = {}) {
+    const tool = this.tools.get(call.name);
+    if (!tool) {
+      throw new Error(`Unknown tool "${call.name}"`);
+    }
+    // Adapters keep the raw string when the model sent invalid JSON
+    if (typeof call.arguments === "string") {
+      throw new Error(`Invalid JSON arguments for tool "${call.name}"`);
+    }
+
+    const result = await tool.handler(call.arguments || {}, {
+      ...context,
+      call,
+    });
+    return typeof result === "string" ? result : JSON.stringify(result ?? null);
+  }
+}
+
+module.exports = ToolRegistry;
@@ -0,0 +1,190 @@
+const fs = require("fs").promises;
+const path = require("path");
+const ConfigHelper = require("./ConfigHelper");
+
+/**
+ * Append-only log of token usage (one JSON object per line), with reports
+ * of totals and estimated cost
+ */
+class UsageLedger {
+  /**
+   * @param {object} options - Ledger settings
+   * @param {string} options.file - Ledger file (default: ~/.ai-client/usage.jsonl)
+   */
+  constructor(options = {}) {
+    this.file =
+      options.file || path.join(ConfigHelper.getUserDataDir(), "usage.jsonl");
+  }
+
+  /**
+   * Append one request to the ledger. Write failures are ignored so that
+   * accounting never fails a request.
+   * @param {object} entry - Request details
+   * @param {string} entry.type - "chat", "stream" or "embedding"
+   * @param {string} entry.apiFormat - API format
+   * @param {string} entry.model - Model that answered
+   * @param {string} entry.template - Prompt template, if any
+   * @param {object} entry.usage - { prompt_tokens, completion_tokens, total_tokens }
+   * @param {number} entry.latency - Request duration in ms
+   * @returns {Promise<void>}
+   */
+  async record({ type, apiFormat, model, template, usage = {}, latency }) {
+    const line = {
+      timestamp: new Date().toISOString(),
+      type,
+      apiFormat,
+      model,
+      template,
+      prompt_tokens: usage.prompt_tokens || 0,
+      completion_tokens: usage.completion_tokens || 0,
+      total_tokens:
+        usage.total_tokens ??
+        (usage.prompt_tokens || 0) + (usage.completion_tokens || 0),
+      latency,
+    };
+
+    try {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.appendFile(this.file, JSON.stringify(line) + "\n");
+    } catch (error) {
+      // Ignore
+    }
+  }
+
+  /**
+   * Read ledger entries
+   * @param {object} options - Filters
+   * @param {Date|string} options.since - Only entries at or after this time
+   * @param {Date|string} options.until - Only entries before this time
+   * @returns {Promise<object[]>}
+   */
+  async read({ since, until } = {}) {
+    let content;
+    try {
+      content = await fs.readFile(this.file, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw new Error(`Error reading usage ledger: ${error.message}`);
+    }
+
+    const from = since ? new Date(since).getTime() : -Infinity;
+    const to = until ? new Date(until).getTime() : Infinity;
+    return content
+      .split("\n")
+      .filter((line) => line.trim())
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          // Skip a line cut short by a crash
+          return null;
+        }
+      })
+      .filter((entry) => {
+        if (!entry) return false;
+        const time = new Date(entry.timestamp).getTime();
+        return time >= from && time < to;
+      });
+  }
+
+  /**
+   * Total usage grouped by day, model, template or API format
+   * @param {object[]} entries - Ledger entries
+   * @param {object} options - Report options
+   * @param {string|null} options.by - "day", "model", "template" or "apiFormat" (default: "day"), or null for a single "Total" row
+   * @param {object} options.prices - Prices per model, see UsageLedger.loadPrices()
+   * @returns {Array<{key: string, requests: number, prompt_tokens: number, completion_tokens: number, total_tokens: number, latency: number, cost: number|null}>} - Rows sorted by key; `latency` is the average, `cost` is null when a model has no price
+   */
+  static summarize(entries, { by = "day", prices = {} } = {}) {
+    const rows = new Map();
+
+    for (const entry of entries) {
+      let key = "Total";
+      if (by === "day") {
+        key = entry.timestamp.slice(0, 10);
+      } else if (by) {
+        key = entry[by] || "(none)";
+      }
+      const row = rows.get(key) || {
+        key,
+        requests: 0,
+        prompt_tokens: 0,
+        completion_tokens: 0,
+        total_tokens: 0,
+        latency: 0,
+        cost: 0,
+      };
+
+      row.requests++;
+      row.prompt_tokens += entry.prompt_tokens;
+      row.completion_tokens += entry.completion_tokens;
+      row.total_tokens += entry.total_tokens;
+      row.latency += entry.latency || 0;
+
+      const cost = UsageLedger.estimateCost(entry, prices);
+      row.cost = cost === null || row.cost === null ? null : row.cost + cost;
+      rows.set(key, row);
+    }
+
+    return [...rows.values()]
+      .map((row) => ({
+        ...row,
+        latency: Math.round(row.latency / row.requests),
+      }))
+      .sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Estimated cost of one entry
+   * @param {object} entry - Ledger entry
+   * @param {object} prices - Prices per model
+   * @returns {number|null} - Cost in the prices' currency, or null when the model has no price
+   */
+  static estimateCost(entry, prices) {
+    const price = UsageLedger.findPrice(entry.model, prices);
+    if (!price) {
+      return null;
+    }
+    return (
+      (entry.prompt_tokens * (price.input || 0) +
+        entry.completion_tokens * (price.output || 0)) /
+      1e6
+    );
+  }
+
+  /**
+   * Find the price of a model: an exact match, then the longest matching
+   * "prefix*" pattern, then "*"
+   * @param {string} model - Model name
+   * @param {object} prices - Prices per model
+   * @returns {{input: number, output: number}|undefined}
+   */
+  static findPrice(model = "", prices = {}) {
+    if (prices[model]) {
+      return prices[model];
+    }
+    const pattern = Object.keys(prices)
+      .filter((key) => key.endsWith("*") && model.startsWith(key.slice(0, -1)))
+      .sort((a, b) => b.length - a.length)[0];
+    return pattern ? prices[pattern] : undefined;
+  }
+
+  /**
+   * Load per-model prices, in USD (or any currency) per million tokens:
+   * { "gpt-4o": { "input": 2.5, "output": 10 }, "deepseek-r1*": { "input": 0, "output": 0 } }
+   * @param {string} file - Prices file (default: ~/.ai-client/prices.json)
+   * @returns {Promise<object>} - Prices, or {} when the file does not exist
+   */
+  static async loadPrices(file) {
+    const pricesPath =
+      file || path.join(ConfigHelper.getUserDataDir(), "prices.json");
+    try {
+      return JSON.parse(await fs.readFile(pricesPath, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT" && !file) return {};
+      throw new Error(`Error loading prices: ${error.message}`);
+    }
+  }
+}
+
+module.exports = UsageLedger;
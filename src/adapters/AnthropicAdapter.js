@@ -0,0 +1,254 @@
+const FormatAdapter = require("./FormatAdapter");
+
+/**
+ * Anthropic Messages API (/v1/messages) format
+ */
+class AnthropicAdapter extends FormatAdapter {
+  constructor() {
+    super();
+    this.defaults = {
+      baseUrl: "https://api.anthropic.com",
+      model: "claude-sonnet-4-0",
+    };
+    this.streamFormat = "sse";
+    this.supportsTools = true;
+  }
+
+  matchesBaseUrl(baseUrl) {
+    return baseUrl.includes("anthropic.com");
+  }
+
+  getHeaders(client) {
+    return {
+      "x-api-key": client.token,
+      "anthropic-version": client.anthropicVersion,
+    };
+  }
+
+  getEndpoint() {
+    return "/v1/messages";
+  }
+
+  getInfoEndpoint() {
+    return "/v1/models";
+  }
+
+  formatRequest(messages, options) {
+    // The system prompt is a top-level field and max_tokens is mandatory
+    const system = messages
+      .filter((message) => message.role === "system")
+      .map((message) => message.content)
+      .join("\n\n");
+    const requestData = {
+      model: options.model,
+      messages: this._formatMessages(
+        messages.filter((message) => message.role !== "system"),
+      ),
+      max_tokens: options.max_tokens || 1024,
+      stream: options.stream,
+    };
+
+    if (options.tools) {
+      requestData.tools = options.tools.map(
+        ({ name, description, parameters }) => ({
+          name,
+          description,
+          input_schema: parameters || { type: "object", properties: {} },
+        }),
+      );
+    }
+    if (system) requestData.system = system;
+    if (options.temperature !== undefined)
+      requestData.temperature = options.temperature;
+    if (options.top_p !== undefined) requestData.top_p = options.top_p;
+    if (options.top_k !== undefined) requestData.top_k = options.top_k;
+    if (options.stop !== undefined)
+      requestData.stop_sequences = [].concat(options.stop);
+
+    return requestData;
+  }
+
+  formatResponse(data) {
+    // Convert content blocks and usage to unified format
+    const usage = data.usage ? this._formatUsage(data.usage) : undefined;
+
+    return {
+      response: (data.content || [])
+        .filter((block) => block.type === "text")
+        .map((block) => block.text)
+        .join(""),
+      // Extended thinking blocks
+      reasoning: (data.content || [])
+        .filter((block) => block.type === "thinking")
+        .map((block) => block.thinking)
+        .join(""),
+      model: data.model,
+      usage: usage,
+      id: data.id,
+      stop_reason: data.stop_reason,
+      tool_calls: this._parseToolCalls(data.content),
+      _original: data,
+    };
+  }
+
+  /**
+   * Convert unified messages to Anthropic turns. Tool calls become tool_use
+   * blocks, tool results tool_result blocks of a user turn, and consecutive
+   * turns of the same role are merged, as the API requires alternating roles.
+   * @private
+   */
+  _formatMessages(messages) {
+    const turns = [];
+    for (const message of messages) {
+      const turn = this._formatMessage(message);
+      const previous = turns[turns.length - 1];
+      if (previous?.role !== turn.role) {
+        turns.push(turn);
+      } else if (
+        typeof previous.content === "string" &&
+        typeof turn.content === "string"
+      ) {
+        previous.content = `${previous.content}\n\n${turn.content}`;
+      } else {
+        previous.content = [
+          ...this._toBlocks(previous.content),
+          ...this._toBlocks(turn.content),
+        ];
+      }
+    }
+    return turns;
+  }
+
+  /**
+   * Convert one unified message
+   * @private
+   */
+  _formatMessage(message) {
+    const { role, content } = message;
+    if (role === "tool") {
+      return {
+        role: "user",
+        content: [
+          {
+            type: "tool_result",
+            tool_use_id: message.tool_call_id,
+            content: content || "",
+          },
+        ],
+      };
+    }
+    if (message.tool_calls) {
+      return {
+        role,
+        content: [
+          ...this._toBlocks(content),
+          ...message.tool_calls.map((call) => ({
+            type: "tool_use",
+            id: call.id,
+            name: call.name,
+            input:
+              call.arguments !== null && typeof call.arguments === "object"
+                ? call.arguments
+                : {},
+          })),
+        ],
+      };
+    }
+    return { role, content };
+  }
+
+  /**
+   * Content as a list of blocks; empty text is left out
+   * @private
+   */
+  _toBlocks(content) {
+    if (Array.isArray(content)) return content;
+    return content ? [{ type: "text", text: content }] : [];
+  }
+
+  /**
+   * Convert tool_use blocks to the unified { id, name, arguments } shape
+   * @private
+   */
+  _parseToolCalls(content) {
+    const calls = (content || []).filter((block) => block.type === "tool_use");
+    if (calls.length === 0) {
+      return undefined;
+    }
+    return calls.map((block) => ({
+      id: block.id,
+      name: block.name,
+      arguments: block.input || {},
+    }));
+  }
+
+  parseStreamChunk({ event, data }) {
+    const parsed = JSON.parse(data);
+    const type = parsed.type || event;
+    if (type === "error") {
+      // event: error / data: { type: "error", error: { type, message } }
+      return { error: parsed.error || parsed, _original: parsed };
+    }
+    if (type === "message_start") {
+      const usage = parsed.message?.usage;
+      return {
+        response: "",
+        done: false,
+        model: parsed.message?.model,
+        usage: usage && this._formatUsage(usage),
+        _original: parsed,
+      };
+    }
+    if (type === "content_block_delta") {
+      return {
+        response: parsed.delta?.text || "",
+        reasoning: parsed.delta?.thinking || "",
+        done: false,
+        _original: parsed,
+      };
+    }
+    if (type === "message_delta") {
+      // Final output token count and stop reason; input tokens were only
+      // reported in message_start, so only completion tokens are set here
+      return {
+        response: "",
+        done: false,
+        usage: parsed.usage && {
+          completion_tokens: parsed.usage.output_tokens,
+        },
+        finish_reason: parsed.delta?.stop_reason,
+        _original: parsed,
+      };
+    }
+    if (type === "message_stop") {
+      return { response: "", done: true, _original: parsed };
+    }
+    return null;
+  }
+
+  /**
+   * Convert Anthropic usage to the OpenAI-style unified usage
+   * @private
+   */
+  _formatUsage(usage) {
+    return {
+      prompt_tokens: usage.input_tokens,
+      completion_tokens: usage.output_tokens,
+      total_tokens: usage.input_tokens + usage.output_tokens,
+    };
+  }
+
+  extractErrorMessage(response) {
+    return response.data?.error?.message || response.statusText;
+  }
+
+  parseError(response) {
+    // { type: "error", error: { type: "rate_limit_error", message } }
+    return {
+      message: this.extractErrorMessage(response),
+      code: response.data?.error?.type,
+    };
+  }
+}
+
+module.exports = AnthropicAdapter;
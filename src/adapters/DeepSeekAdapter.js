@@ -0,0 +1,101 @@
+const FormatAdapter = require("./FormatAdapter");
+const OllamaAdapter = require("./OllamaAdapter");
+
+// Embeddings go to the same Ollama server, so they use the Ollama format
+const ollama = new OllamaAdapter();
+
+/**
+ * DeepSeek format - Ollama's prompt-based /api/generate endpoint
+ */
+class DeepSeekAdapter extends FormatAdapter {
+  constructor() {
+    super();
+    this.defaults = {
+      baseUrl: undefined,
+      model: "deepseek-r1:8b",
+      embeddingModel: ollama.defaults.embeddingModel,
+    };
+  }
+
+  getEndpoint() {
+    return "/api/generate";
+  }
+
+  getInfoEndpoint() {
+    return "/api/info";
+  }
+
+  formatRequest(messages, options) {
+    // /api/generate only takes a single prompt, so system messages go to the
+    // `system` field and the turns are flattened into a transcript
+    const { system, prompt } = this._messagesToPrompt(messages);
+    const requestData = {
+      model: options.model,
+      prompt: prompt,
+      stream: options.stream,
+      ...options,
+    };
+    if (system) requestData.system = system;
+
+    return requestData;
+  }
+
+  getJSONOptions(schema) {
+    return { format: schema || "json" };
+  }
+
+  formatResponse(data) {
+    // Servers with thinking enabled return the reasoning in `thinking`
+    return { ...data, reasoning: data.thinking || "" };
+  }
+
+  getEmbeddingEndpoints() {
+    return ollama.getEmbeddingEndpoints();
+  }
+
+  formatEmbeddingRequest(inputs, options, endpoint) {
+    return ollama.formatEmbeddingRequest(inputs, options, endpoint);
+  }
+
+  formatEmbeddingResponse(data, endpoint) {
+    return ollama.formatEmbeddingResponse(data, endpoint);
+  }
+
+  parseStreamChunk(line) {
+    // Native /api/generate chunks, plus the unified usage and finish reason
+    const parsed = JSON.parse(line);
+    return {
+      ...parsed,
+      reasoning: parsed.thinking || "",
+      usage: OllamaAdapter.getUsage(parsed),
+      finish_reason: parsed.done_reason,
+    };
+  }
+
+  /**
+   * Flatten a chat message list into a system prompt and a single prompt
+   * @private
+   */
+  _messagesToPrompt(messages) {
+    const system = messages
+      .filter((message) => message.role === "system")
+      .map((message) => message.content)
+      .join("\n\n");
+    const turns = messages.filter((message) => message.role !== "system");
+
+    // A lone user message is sent verbatim, exactly like generate()
+    if (turns.length === 1 && turns[0].role === "user") {
+      return { system, prompt: turns[0].content };
+    }
+
+    const transcript = turns.map(
+      (message) =>
+        `${message.role === "user" ? "User" : "Assistant"}: ${message.content}`,
+    );
+    transcript.push("Assistant:");
+
+    return { system, prompt: transcript.join("\n\n") };
+  }
+}
+
+module.exports = DeepSeekAdapter;
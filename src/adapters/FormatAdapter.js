@@ -0,0 +1,209 @@
+const RetryPolicy = require("../RetryPolicy");
+const { createAPIError } = require("../errors");
+
+/**
+ * Base class for API format adapters.
+ *
+ * An adapter translates between the client's unified request/response shape
+ * and one provider's wire format. Subclasses (or plain objects passed to
+ * AIClient.registerFormat) override the methods below; anything not
+ * overridden falls back to these defaults.
+ */
+class FormatAdapter {
+  constructor() {
+    // Default connection settings, used by ConfigHelper and the CLI
+    this.defaults = {
+      baseUrl: undefined,
+      model: undefined,
+      embeddingModel: undefined,
+    };
+    // Wire format of streamed responses: "ndjson" (one JSON object per
+    // line) or "sse" (Server-Sent Events)
+    this.streamFormat = "ndjson";
+    // Whether formatRequest() maps `options.tools` and tool messages, and
+    // formatResponse() returns `tool_calls`
+    this.supportsTools = false;
+  }
+
+  /**
+   * Whether a base URL belongs to this format (used for auto-detection)
+   * @param {string} baseUrl - Configured base URL
+   * @returns {boolean}
+   */
+  matchesBaseUrl(baseUrl) {
+    return false;
+  }
+
+  /**
+   * Get authentication headers
+   * @param {AIClient} client - The client sending the request
+   * @returns {object} - HTTP headers
+   */
+  getHeaders(client) {
+    return { Authorization: `Bearer ${client.token}` };
+  }
+
+  /**
+   * Get the generation endpoint
+   * @param {object} options - Request options
+   * @param {boolean} options.stream - Whether the response is streamed
+   * @returns {string} - Endpoint path
+   */
+  getEndpoint({ stream } = {}) {
+    throw new Error(`${this.constructor.name} must implement getEndpoint()`);
+  }
+
+  /**
+   * Get the server information endpoint
+   * @returns {string|null} - Endpoint path, or null if unavailable
+   */
+  getInfoEndpoint() {
+    return null;
+  }
+
+  /**
+   * Build the request body
+   * @param {Array<{role: string, content: string}>} messages - Validated chat messages
+   * @param {object} options - Request options, with `model` and `stream` resolved
+   * @returns {object} - Request body
+   */
+  formatRequest(messages, options) {
+    throw new Error(`${this.constructor.name} must implement formatRequest()`);
+  }
+
+  /**
+   * Request options that make the model answer with JSON (used by generateJSON)
+   * @param {object|null} schema - JSON Schema of the answer, if any
+   * @returns {object} - Options merged into the request options
+   */
+  getJSONOptions(schema) {
+    return {};
+  }
+
+  /**
+   * Convert a response body to the unified format ({ response, model, usage, ... })
+   * @param {object} data - Response body
+   * @returns {object} - Unified response
+   */
+  formatResponse(data) {
+    return data;
+  }
+
+  /**
+   * Parse one message of a streaming response
+   * @param {string|{event: string, data: string, id: string}} message - Non-empty line for "ndjson" streams, parsed event for "sse" streams
+   * @returns {object|null} - Unified chunk ({ response, done, usage, finish_reason, ... }) or null to skip the message
+   */
+  parseStreamChunk(message) {
+    return JSON.parse(message);
+  }
+
+  /**
+   * Detect an error reported in the middle of a stream
+   * @param {object} chunk - Parsed chunk
+   * @returns {{message: string, code: string}|null} - The error, or null for a regular chunk
+   */
+  parseStreamError(chunk) {
+    const { error } = chunk;
+    if (!error) {
+      return null;
+    }
+    if (typeof error === "string") {
+      return { message: error, code: undefined };
+    }
+    return {
+      message: error.message || JSON.stringify(error),
+      code: error.code || error.type,
+    };
+  }
+
+  /**
+   * Whether a parsed chunk ends the stream
+   * @param {object} chunk - Parsed chunk
+   * @returns {boolean}
+   */
+  isStreamDone(chunk) {
+    return Boolean(chunk.done);
+  }
+
+  /**
+   * Get the embedding endpoints, in order of preference. The client falls
+   * back to the next one when the server does not have an endpoint (404).
+   * @returns {Array<{path: string, batchSize: number}>} - Endpoints with the maximum number of inputs per request; empty if embeddings are unsupported
+   */
+  getEmbeddingEndpoints() {
+    return [];
+  }
+
+  /**
+   * Build an embedding request body
+   * @param {string[]} inputs - Texts to embed
+   * @param {object} options - Request options, with `model` resolved
+   * @param {string} endpoint - Endpoint path the request is sent to
+   * @returns {object} - Request body
+   */
+  formatEmbeddingRequest(inputs, options, endpoint) {
+    throw new Error(
+      `${this.constructor.name} must implement formatEmbeddingRequest()`,
+    );
+  }
+
+  /**
+   * Convert an embedding response body to { embeddings, model, usage }
+   * @param {object} data - Response body
+   * @param {string} endpoint - Endpoint path the request was sent to
+   * @returns {{embeddings: number[][], model: string, usage: object}}
+   */
+  formatEmbeddingResponse(data, endpoint) {
+    return data;
+  }
+
+  /**
+   * Extract a human readable error message from an error response
+   * @param {object} response - Axios error response
+   * @returns {string}
+   */
+  extractErrorMessage(response) {
+    return response.data?.error || response.statusText;
+  }
+
+  /**
+   * Extract the message and provider error code from an error response
+   * @param {object} response - Axios error response
+   * @returns {{message: string, code: string}}
+   */
+  parseError(response) {
+    return { message: this.extractErrorMessage(response), code: undefined };
+  }
+
+  /**
+   * Get the provider request id of a response
+   * @param {object} headers - Response headers
+   * @returns {string|undefined}
+   */
+  getRequestId(headers = {}) {
+    return headers["x-request-id"] || headers["request-id"];
+  }
+
+  /**
+   * Map an error response to a typed error (AuthenticationError, RateLimitError, ...)
+   * @param {object} response - Axios error response
+   * @param {Error} cause - Original error
+   * @returns {APIError}
+   */
+  createError(response, cause) {
+    const { message, code } = this.parseError(response);
+
+    return createAPIError({
+      status: response.status,
+      message: message || response.statusText,
+      code,
+      requestId: this.getRequestId(response.headers),
+      body: response.data,
+      retryAfter: RetryPolicy.parseRetryAfter(response.headers) ?? undefined,
+      cause,
+    });
+  }
+}
+
+module.exports = FormatAdapter;
@@ -0,0 +1,93 @@
+const FormatAdapter = require("./FormatAdapter");
+
+/**
+ * Registry of API format adapters, keyed by format name
+ */
+class FormatRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  /**
+   * Register (or replace) an API format
+   * @param {string} name - Format name, as used in API_FORMAT / apiFormat
+   * @param {FormatAdapter|object} adapter - Adapter instance, or a plain object implementing part of the FormatAdapter interface
+   */
+  register(name, adapter) {
+    if (typeof name !== "string" || !/^[a-z][\w-]*$/.test(name)) {
+      throw new Error(
+        `Invalid API format name "${name}" (use lowercase letters, digits, "-" and "_")`,
+      );
+    }
+    if (!adapter || typeof adapter !== "object") {
+      throw new Error(`Adapter for API format "${name}" must be an object`);
+    }
+
+    // Plain objects inherit the defaults of the base adapter
+    const instance =
+      adapter instanceof FormatAdapter
+        ? adapter
+        : Object.assign(new FormatAdapter(), adapter);
+
+    for (const method of ["getEndpoint", "formatRequest"]) {
+      if (instance[method] === FormatAdapter.prototype[method]) {
+        throw new Error(
+          `Adapter for API format "${name}" must implement ${method}()`,
+        );
+      }
+    }
+
+    this.adapters.set(name, instance);
+  }
+
+  /**
+   * Get the adapter of a format
+   * @param {string} name - Format name
+   * @returns {FormatAdapter}
+   */
+  get(name) {
+    const adapter = this.adapters.get(name);
+    if (!adapter) {
+      throw new Error(
+        `Unknown API format "${name}". Available formats: ${this.list().join(", ")}`,
+      );
+    }
+    return adapter;
+  }
+
+  /**
+   * Check whether a format is registered
+   * @param {string} name - Format name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.adapters.has(name);
+  }
+
+  /**
+   * List registered format names
+   * @returns {string[]}
+   */
+  list() {
+    return [...this.adapters.keys()];
+  }
+
+  /**
+   * Detect the format of a base URL
+   * @param {string} baseUrl - Configured base URL
+   * @returns {string|null} - Matching format name, or null if none matches
+   */
+  detect(baseUrl) {
+    if (!baseUrl) {
+      return null;
+    }
+    for (const [name, adapter] of this.adapters) {
+      if (adapter.matchesBaseUrl(baseUrl)) {
+        return name;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = FormatRegistry;
@@ -0,0 +1,180 @@
+const FormatAdapter = require("./FormatAdapter");
+
+/**
+ * Ollama format - the message-based /api/chat endpoint
+ */
+class OllamaAdapter extends FormatAdapter {
+  constructor() {
+    super();
+    this.defaults = {
+      baseUrl: undefined,
+      model: "deepseek-r1:8b",
+      embeddingModel: "nomic-embed-text",
+    };
+    this.supportsTools = true;
+  }
+
+  getEndpoint() {
+    return "/api/chat";
+  }
+
+  getInfoEndpoint() {
+    return "/api/tags";
+  }
+
+  formatRequest(messages, options) {
+    // Sampling parameters live under `options`
+    const requestData = {
+      model: options.model,
+      messages: messages.map((message) => this._formatMessage(message)),
+      stream: options.stream,
+    };
+    if (options.tools) {
+      requestData.tools = options.tools.map(
+        ({ name, description, parameters }) => ({
+          type: "function",
+          function: { name, description, parameters },
+        }),
+      );
+    }
+    const modelOptions = { ...options.options };
+
+    if (options.temperature !== undefined)
+      modelOptions.temperature = options.temperature;
+    if (options.top_p !== undefined) modelOptions.top_p = options.top_p;
+    if (options.top_k !== undefined) modelOptions.top_k = options.top_k;
+    if (options.max_tokens !== undefined)
+      modelOptions.num_predict = options.max_tokens;
+    if (options.stop !== undefined) modelOptions.stop = [].concat(options.stop);
+
+    if (Object.keys(modelOptions).length > 0)
+      requestData.options = modelOptions;
+    if (options.format !== undefined) requestData.format = options.format;
+    if (options.keep_alive !== undefined)
+      requestData.keep_alive = options.keep_alive;
+
+    return requestData;
+  }
+
+  getJSONOptions(schema) {
+    // Ollama 0.5+ accepts a JSON schema in `format`
+    return { format: schema || "json" };
+  }
+
+  formatResponse(data) {
+    // Keep the native fields and lift the message content into the unified
+    // `response` field
+    return {
+      ...data,
+      response: data.message?.content || "",
+      reasoning: data.message?.thinking || "",
+      usage: OllamaAdapter.getUsage(data),
+      tool_calls: this._parseToolCalls(data.message?.tool_calls),
+    };
+  }
+
+  getEmbeddingEndpoints() {
+    // /api/embed takes a batch (Ollama 0.3.4+); older servers only have
+    // /api/embeddings, with one prompt per request
+    return [
+      { path: "/api/embed", batchSize: 512 },
+      { path: "/api/embeddings", batchSize: 1 },
+    ];
+  }
+
+  formatEmbeddingRequest(inputs, options, endpoint) {
+    if (endpoint === "/api/embeddings") {
+      return { model: options.model, prompt: inputs[0] };
+    }
+    const requestData = { model: options.model, input: inputs };
+    if (options.truncate !== undefined) requestData.truncate = options.truncate;
+    if (options.keep_alive !== undefined)
+      requestData.keep_alive = options.keep_alive;
+    return requestData;
+  }
+
+  formatEmbeddingResponse(data, endpoint) {
+    if (endpoint === "/api/embeddings") {
+      return { embeddings: [data.embedding], model: undefined };
+    }
+    return {
+      embeddings: data.embeddings,
+      model: data.model,
+      usage:
+        data.prompt_eval_count === undefined
+          ? undefined
+          : {
+              prompt_tokens: data.prompt_eval_count,
+              total_tokens: data.prompt_eval_count,
+            },
+    };
+  }
+
+  /**
+   * Convert a unified message; tool call arguments are sent as objects and
+   * results are matched by tool name, as Ollama has no call ids
+   * @private
+   */
+  _formatMessage(message) {
+    const { role, content } = message;
+    if (role === "tool") {
+      return { role, content, tool_name: message.name };
+    }
+    if (message.tool_calls) {
+      return {
+        role,
+        content,
+        tool_calls: message.tool_calls.map((call) => ({
+          function: { name: call.name, arguments: call.arguments },
+        })),
+      };
+    }
+    return { role, content };
+  }
+
+  /**
+   * Convert tool calls to the unified { id, name, arguments } shape
+   * @private
+   */
+  _parseToolCalls(toolCalls) {
+    if (!toolCalls?.length) {
+      return undefined;
+    }
+    return toolCalls.map((call, index) => ({
+      id: call.id || `call_${index}`,
+      name: call.function?.name,
+      arguments: call.function?.arguments || {},
+    }));
+  }
+
+  parseStreamChunk(line) {
+    // NDJSON with the delta in message.content; the last line carries the
+    // token counts
+    const parsed = JSON.parse(line);
+    return {
+      ...parsed,
+      response: parsed.message?.content || "",
+      reasoning: parsed.message?.thinking || "",
+      usage: OllamaAdapter.getUsage(parsed),
+      finish_reason: parsed.done_reason,
+    };
+  }
+
+  /**
+   * Convert Ollama token counts to the OpenAI-style unified usage
+   * @param {object} data - Response body or final stream chunk
+   * @returns {object|undefined}
+   */
+  static getUsage(data) {
+    if (data.eval_count === undefined) {
+      return undefined;
+    }
+    return {
+      prompt_tokens: data.prompt_eval_count || 0,
+      completion_tokens: data.eval_count,
+      total_tokens: (data.prompt_eval_count || 0) + data.eval_count,
+    };
+  }
+}
+
+module.exports = OllamaAdapter;
@@ -0,0 +1,210 @@
+const FormatAdapter = require("./FormatAdapter");
+
+/**
+ * OpenAI-compatible /v1/chat/completions format
+ */
+class OpenAIAdapter extends FormatAdapter {
+  constructor() {
+    super();
+    this.defaults = {
+      baseUrl: "https://api.openai.com",
+      model: "gpt-4",
+      embeddingModel: "text-embedding-3-small",
+    };
+    this.streamFormat = "sse";
+    this.supportsTools = true;
+  }
+
+  matchesBaseUrl(baseUrl) {
+    return baseUrl.includes("openai.com") || baseUrl.includes("api.openai");
+  }
+
+  getEndpoint() {
+    return "/v1/chat/completions";
+  }
+
+  getInfoEndpoint() {
+    return "/v1/models";
+  }
+
+  formatRequest(messages, options) {
+    const requestData = {
+      model: options.model,
+      messages: messages.map((message) => this._formatMessage(message)),
+      stream: options.stream,
+    };
+
+    if (options.tools) {
+      requestData.tools = options.tools.map(
+        ({ name, description, parameters }) => ({
+          type: "function",
+          function: { name, description, parameters },
+        }),
+      );
+    }
+    if (options.tool_choice !== undefined)
+      requestData.tool_choice = options.tool_choice;
+    if (options.response_format !== undefined)
+      requestData.response_format = options.response_format;
+
+    // Ask for a final chunk with token usage; pass stream_options: null to
+    // leave it out for servers that reject the field
+    if (options.stream && options.stream_options !== null) {
+      requestData.stream_options = options.stream_options || {
+        include_usage: true,
+      };
+    }
+
+    // Add optional OpenAI parameters
+    if (options.temperature !== undefined)
+      requestData.temperature = options.temperature;
+    if (options.max_tokens !== undefined)
+      requestData.max_tokens = options.max_tokens;
+    if (options.top_p !== undefined) requestData.top_p = options.top_p;
+    if (options.frequency_penalty !== undefined)
+      requestData.frequency_penalty = options.frequency_penalty;
+    if (options.presence_penalty !== undefined)
+      requestData.presence_penalty = options.presence_penalty;
+
+    return requestData;
+  }
+
+  getJSONOptions(schema) {
+    return {
+      response_format: schema
+        ? {
+            type: "json_schema",
+            json_schema: { name: "response", schema, strict: false },
+          }
+        : { type: "json_object" },
+    };
+  }
+
+  formatResponse(data) {
+    // Convert OpenAI format to unified format
+    return {
+      response: data.choices?.[0]?.message?.content || "",
+      // DeepSeek-R1 and vLLM use reasoning_content, some proxies reasoning
+      reasoning:
+        data.choices?.[0]?.message?.reasoning_content ||
+        data.choices?.[0]?.message?.reasoning ||
+        "",
+      model: data.model,
+      created: data.created,
+      usage: data.usage,
+      id: data.id,
+      tool_calls: this._parseToolCalls(data.choices?.[0]?.message?.tool_calls),
+      // Keep original data for compatibility
+      _original: data,
+    };
+  }
+
+  parseStreamChunk({ data }) {
+    if (data === "[DONE]") {
+      return { response: "", done: true };
+    }
+    const parsed = JSON.parse(data);
+    if (parsed.error) {
+      return { error: parsed.error, _original: parsed };
+    }
+    // The stream ends with [DONE], not with the finish_reason chunk: when
+    // usage is requested it arrives afterwards, in a chunk without choices
+    const choice = parsed.choices?.[0];
+    return {
+      response: choice?.delta?.content || "",
+      reasoning:
+        choice?.delta?.reasoning_content || choice?.delta?.reasoning || "",
+      done: false,
+      model: parsed.model,
+      usage: parsed.usage || undefined,
+      finish_reason: choice?.finish_reason || undefined,
+      _original: parsed,
+    };
+  }
+
+  getEmbeddingEndpoints() {
+    // OpenAI accepts up to 2048 inputs per request
+    return [{ path: "/v1/embeddings", batchSize: 2048 }];
+  }
+
+  formatEmbeddingRequest(inputs, options) {
+    const requestData = {
+      model: options.model,
+      input: inputs,
+      encoding_format: "float",
+    };
+    if (options.dimensions !== undefined)
+      requestData.dimensions = options.dimensions;
+    return requestData;
+  }
+
+  formatEmbeddingResponse(data) {
+    return {
+      embeddings: [...(data.data || [])]
+        .sort((a, b) => a.index - b.index)
+        .map((item) => item.embedding),
+      model: data.model,
+      usage: data.usage,
+    };
+  }
+
+  /**
+   * Convert a unified message, including tool calls and results
+   * @private
+   */
+  _formatMessage(message) {
+    const { role, content, name } = message;
+    if (role === "tool") {
+      return { role, content, tool_call_id: message.tool_call_id };
+    }
+    if (message.tool_calls) {
+      return {
+        role,
+        content: content || null,
+        tool_calls: message.tool_calls.map((call) => ({
+          id: call.id,
+          type: "function",
+          function: {
+            name: call.name,
+            arguments: JSON.stringify(call.arguments),
+          },
+        })),
+      };
+    }
+    return name ? { role, content, name } : { role, content };
+  }
+
+  /**
+   * Convert tool calls to the unified { id, name, arguments } shape
+   * @private
+   */
+  _parseToolCalls(toolCalls) {
+    if (!toolCalls?.length) {
+      return undefined;
+    }
+    return toolCalls.map((call) => {
+      let args = call.function?.arguments || "{}";
+      try {
+        args = JSON.parse(args);
+      } catch (e) {
+        // Keep the raw string; the tool registry reports it to the model
+      }
+      return { id: call.id, name: call.function?.name, arguments: args };
+    });
+  }
+
+  extractErrorMessage(response) {
+    return response.data?.error?.message || response.statusText;
+  }
+
+  parseError(response) {
+    // { error: { message, type, code } } - code is often null
+    const error = response.data?.error || {};
+    return {
+      message: this.extractErrorMessage(response),
+      code: error.code || error.type,
+    };
+  }
+}
+
+module.exports = OpenAIAdapter;
@@ -0,0 +1,23 @@
+const AnthropicAdapter = require("./AnthropicAdapter");
+const DeepSeekAdapter = require("./DeepSeekAdapter");
+const FormatAdapter = require("./FormatAdapter");
+const FormatRegistry = require("./FormatRegistry");
+const OllamaAdapter = require("./OllamaAdapter");
+const OpenAIAdapter = require("./OpenAIAdapter");
+
+// Shared registry with the built-in formats
+const formats = new FormatRegistry();
+formats.register("deepseek", new DeepSeekAdapter());
+formats.register("ollama", new OllamaAdapter());
+formats.register("openai", new OpenAIAdapter());
+formats.register("anthropic", new AnthropicAdapter());
+
+module.exports = {
+  formats,
+  FormatRegistry,
+  FormatAdapter,
+  AnthropicAdapter,
+  DeepSeekAdapter,
+  OllamaAdapter,
+  OpenAIAdapter,
+};
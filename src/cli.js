@@ -1,35 +1,154 @@
 #!/usr/bin/env node
 
+const path = require("path");
+const readline = require("readline");
 const { program } = require("commander");
 const inquirer = require("inquirer").default || require("inquirer");
 const chalk = require("chalk");
 const ora = require("ora");
 const AIClient = require("./AIClient");
+const BatchRunner = require("./BatchRunner");
+const ChatSessionStore = require("./ChatSessionStore");
 const ConfigHelper = require("./ConfigHelper");
+const ProfileStore = require("./ProfileStore");
+const ProjectIndex = require("./ProjectIndex");
+const UsageLedger = require("./UsageLedger");
+const {
+  AbortError,
+  AuthenticationError,
+  ContextLengthError,
+  ModelNotFoundError,
+  NetworkError,
+  RateLimitError,
+  StreamError,
+  TemplateError,
+  TimeoutError,
+} = require("./errors");
 require("dotenv").config();
 
-// Initialize the client
+// The client is initialized once the global options are parsed
 let client;
 
-try {
-  client = new AIClient();
-} catch (error) {
-  console.error(chalk.red("❌ Error initializing AI client:"));
-  console.error(chalk.red(error.message));
-  console.log(
-    chalk.yellow("\n💡 Make sure to set your environment variables:"),
-  );
-  console.log(chalk.cyan("\n📋 Required configuration:"));
-  console.log(chalk.cyan("   API_FORMAT=deepseek or openai"));
-  console.log(chalk.cyan("   BASE_URL=http://your-server-url"));
-  console.log(chalk.cyan("   API_KEY=your-api-key"));
-  console.log(chalk.cyan("   MODEL=your-model-name"));
-  console.log(chalk.yellow("\nOr create a .env file with these values."));
-  process.exit(1);
+function initClient(options = {}, command) {
+  // Routing rules can pick the model by command and tag
+  const config = { command, tag: options.tag };
+  if (options.providers) {
+    config.providers = options.providers.split(",").map((name) => name.trim());
+  }
+  config.onWarning = ({ message }) => {
+    console.error(chalk.yellow(`\n⚠️  ${message}`));
+  };
+  config.onFailover = ({ from, to, error }) => {
+    console.error(
+      chalk.gray(`\n↪ ${from} failed (${error.message}) - trying ${to}`),
+    );
+  };
+
+  if (options.retry === false) {
+    config.retry = false;
+  } else {
+    config.retry = {
+      onRetry: ({ attempt, maxAttempts, delay, error }) => {
+        const reason = error.response
+          ? `HTTP ${error.response.status}`
+          : error.code;
+        console.error(
+          chalk.gray(
+            `\n↻ ${reason} - retrying in ${delay}ms (attempt ${attempt}/${maxAttempts})`,
+          ),
+        );
+      },
+    };
+    if (options.maxAttempts)
+      config.retry.maxAttempts = parseInt(options.maxAttempts);
+    if (options.retryDelay)
+      config.retry.baseDelay = parseInt(options.retryDelay);
+  }
+
+  // Token usage of every request goes to the ledger read by `usage`
+  config.usageLedger = true;
+
+  // With --cache, identical requests are answered from the response cache
+  if (options.cache || options.refresh) {
+    config.cache = { refresh: Boolean(options.refresh) };
+  }
+
+  try {
+    // The top-level routing rules of config.json, unless the profile has
+    // its own
+    const store = new ProfileStore();
+    // The default profile, unless the environment (or .env) sets a server
+    const named = options.profile || process.env.AI_PROFILE;
+    const profile =
+      named || !process.env.BASE_URL ? store.resolve(named) : null;
+    if (profile) {
+      config.profile = profile.name;
+    }
+    if (!profile?.config.routes && store.read().routes) {
+      config.routes = store.read().routes;
+    }
+
+    client = new AIClient(config);
+  } catch (error) {
+    console.error(chalk.red("❌ Error initializing AI client:"));
+    console.error(chalk.red(error.message));
+    console.log(
+      chalk.yellow("\n💡 Make sure to set your environment variables:"),
+    );
+    console.log(chalk.cyan("\n📋 Required configuration:"));
+    console.log(
+      chalk.cyan(`   API_FORMAT=${AIClient.listFormats().join(", ")}`),
+    );
+    console.log(chalk.cyan("   BASE_URL=http://your-server-url"));
+    console.log(chalk.cyan("   API_KEY=your-api-key"));
+    console.log(chalk.cyan("   MODEL=your-model-name"));
+    console.log(chalk.yellow("\nOr create a .env file with these values."));
+    console.log(
+      chalk.yellow("Or add a profile: ai-client config profile add <name>"),
+    );
+    process.exit(1);
+  }
 }
 
+// Global options
+program
+  .option(
+    "--max-attempts <n>",
+    "Maximum attempts per request, including retries (default: 3)",
+  )
+  .option("--retry-delay <ms>", "Delay before the first retry (default: 500)")
+  .option("--no-retry", "Disable automatic retries")
+  .option("--show-thinking", "Show the model's reasoning, dimmed")
+  .option(
+    "--cache",
+    "Answer repeated requests from the response cache (kept for 24 h)",
+  )
+  .option("--refresh", "Send the request and replace its cached response")
+  .option(
+    "--providers <profiles>",
+    "Comma-separated profiles to try in order when one is down",
+  )
+  .option(
+    "--profile <name>",
+    "Configuration profile to use (default: AI_PROFILE, then the default profile)",
+  )
+  .option("--tag <tag>", "Tag of the requests, matched by routing rules")
+  .hook("preAction", (thisCommand, actionCommand) => {
+    // The config commands work without a usable configuration
+    const command =
+      actionCommand.parent === program ? actionCommand : actionCommand.parent;
+    if (command.name() !== "config") {
+      initClient(program.opts(), command.name());
+    }
+  });
+
 // Helper function to format response
 function formatResponse(response) {
+  if (program.opts().showThinking && response.reasoning) {
+    console.log(chalk.gray("\n🤔 Reasoning:"));
+    console.log(chalk.dim(response.reasoning));
+  }
+
   console.log(chalk.green("\n📝 Response:"));
   console.log(chalk.white("─".repeat(50)));
 
@@ -43,6 +162,23 @@ function formatResponse(response) {
 
   console.log(chalk.white("─".repeat(50)));
 
+  if (response.cached) {
+    console.log(chalk.gray("💾 Cached response (use --refresh for a new one)"));
+  }
+  if (response.route) {
+    const target = [
+      response.route.provider,
+      response.route.model || response.model,
+    ]
+      .filter(Boolean)
+      .join(" / ");
+    console.log(chalk.gray(`🧭 Routed to ${target}`));
+  }
+  if (response.provider && response.provider !== client.providers[0].name) {
+    console.log(
+      chalk.gray(`🔀 Answered by the fallback provider ${response.provider}`),
+    );
+  }
   if (response.total_duration) {
     console.log(
       chalk.gray(
@@ -52,9 +188,140 @@ function formatResponse(response) {
   }
 }
 
+// Print stream chunks, with the reasoning dimmed when --show-thinking is set.
+// Returns the writer, a getter for the answer text printed so far and end(),
+// which prints what was held back.
+//
+// A retracted chunk turns the answer printed so far into reasoning: it is
+// erased from the terminal, or redrawn dimmed with --show-thinking. Piped
+// output cannot be taken back, so it is held until the stream ends.
+function createStreamWriter() {
+  const showThinking = program.opts().showThinking;
+  const out = process.stdout;
+  const hold = !out.isTTY;
+  let held = "";
+  let text = "";
+  let thinking = false;
+
+  const print = (output) => {
+    if (hold) {
+      held += output;
+    } else {
+      out.write(output);
+    }
+  };
+
+  const retract = () => {
+    const reasoning = text;
+    text = "";
+    if (hold) {
+      held = "";
+    } else {
+      // Lines that scrolled off the screen stay in the scrollback
+      const columns = out.columns || 80;
+      const rows = reasoning
+        .split("\n")
+        .reduce(
+          (sum, line) =>
+            sum + Math.max(1, Math.ceil([...line].length / columns)),
+          0,
+        );
+      readline.moveCursor(out, 0, 1 - rows);
+      readline.cursorTo(out, 0);
+      readline.clearScreenDown(out);
+    }
+    if (showThinking && reasoning) {
+      print(chalk.dim(reasoning));
+      thinking = true;
+    }
+  };
+
+  const write = (chunk) => {
+    if (chunk.retracted) {
+      retract();
+    }
+    if (showThinking && chunk.reasoning) {
+      print(chalk.dim(chunk.reasoning));
+      thinking = true;
+    }
+    if (chunk.response) {
+      if (thinking) {
+        print("\n\n");
+        thinking = false;
+      }
+      print(chunk.response);
+      text += chunk.response;
+    }
+  };
+
+  const end = () => {
+    out.write(held);
+    held = "";
+  };
+
+  return { write, text: () => text, end };
+}
+
+// Run a generation that Ctrl+C cancels without exiting the CLI
+async function cancellable(run) {
+  const controller = new AbortController();
+  const onInterrupt = () => controller.abort();
+  process.on("SIGINT", onInterrupt);
+  try {
+    return await run(controller.signal);
+  } finally {
+    process.removeListener("SIGINT", onInterrupt);
+  }
+}
+
 // Helper function to handle errors
 function handleError(error) {
+  if (error instanceof AbortError) {
+    console.log(chalk.yellow("\n⏹️  Generation cancelled"));
+    return;
+  }
+
   console.error(chalk.red("\n❌ Error:"), error.message);
+
+  const hint = getErrorHint(error);
+  if (hint) {
+    console.error(chalk.yellow(`💡 ${hint}`));
+  }
+  if (error.requestId) {
+    console.error(chalk.gray(`   Request id: ${error.requestId}`));
+  }
+}
+
+// Targeted troubleshooting hint for each error class
+function getErrorHint(error) {
+  if (error instanceof AuthenticationError) {
+    return "Check API_KEY in your .env file - the server rejected it.";
+  }
+  if (error instanceof RateLimitError) {
+    const wait = error.retryAfter
+      ? ` The server asked to wait ${Math.ceil(error.retryAfter / 1000)}s.`
+      : "";
+    return `Rate limited.${wait} Slow down or raise the retries with --max-attempts.`;
+  }
+  if (error instanceof TimeoutError) {
+    return "The request timed out. Increase TIMEOUT or use a smaller model/prompt.";
+  }
+  if (error instanceof ModelNotFoundError) {
+    return `Model "${client?.model}" is not available. Check MODEL (Ollama: run "ollama pull <model>" on the server).`;
+  }
+  if (error instanceof ContextLengthError) {
+    return "The prompt is too long for this model. Shorten it or lower max_tokens.";
+  }
+  if (error instanceof StreamError) {
+    return "The stream was interrupted. Try again, or run without --stream.";
+  }
+  if (error instanceof NetworkError) {
+    return "Check BASE_URL and that the server is running.";
+  }
+  if (error instanceof TemplateError && error.code === "unresolved_variable") {
+    return 'Pass the variable, give it a default ({{name|default:"..."}}) or run without strict templates.';
+  }
+  return null;
 }
 
 // Command: Interactive mode
@@ -110,7 +377,9 @@ program
 
           const spinner = ora("Thinking...").start();
           try {
-            const response = await client.generate(prompt);
+            const response = await cancellable((signal) =>
+              client.generate(prompt, { signal }),
+            );
             spinner.stop();
             formatResponse(response);
           } catch (error) {
@@ -139,38 +408,62 @@ program
 
           const template = await client.loadPromptTemplate(templateName);
 
-          // Extract variables from template
-          const variableMatches = template.match(/\{\{(\w+)\}\}/g) || [];
-          const variables = [
-            ...new Set(variableMatches.map((match) => match.slice(2, -2))),
-          ];
+          // Extract variables from the template and its partials
+          const variables = client.templateEngine.listVariables(template);
 
           const templateVars = {};
           if (variables.length > 0) {
             console.log(
               chalk.blue(
-                `\n📝 Template requires variables: ${variables.join(", ")}`,
+                `\n📝 Template variables: ${variables.map((variable) => variable.name).join(", ")}`,
+              ),
+            );
+            console.log(
+              chalk.gray(
+                "   Leave a value empty to use the template's default",
               ),
             );
             for (const variable of variables) {
+              const hints = [];
+              if (variable.list) hints.push("comma-separated");
+              if (variable.default !== undefined)
+                hints.push(`default: ${variable.default}`);
               const { value } = await inquirer.prompt([
                 {
                   type: "input",
                   name: "value",
-                  message: `Enter value for {{${variable}}}:`,
+                  message: `Enter value for {{${variable.name}}}${hints.length ? ` (${hints.join(", ")})` : ""}:`,
                 },
               ]);
-              templateVars[variable] = value;
+              templateVars[variable.name] = variable.list
+                ? value
+                    .split(",")
+                    .map((item) => item.trim())
+                    .filter(Boolean)
+                : value;
             }
           }
 
           const finalPrompt = client.replaceTemplateVariables(
             template,
             templateVars,
+            { name: templateName },
           );
           console.log(chalk.gray("\n📋 Generated prompt:"));
           console.log(chalk.white(finalPrompt));
 
+          const estimate = client.estimateTokens(finalPrompt, {
+            template: templateName,
+          });
+          const size = estimate.limit
+            ? `~${estimate.tokens} of ${estimate.available} available tokens (${estimate.limit} context, ${estimate.reserved} reserved for the answer)`
+            : `~${estimate.tokens} tokens (context window of ${estimate.model} unknown)`;
+          console.log(
+            estimate.fits
+              ? chalk.gray(`🔢 ${size}`)
+              : chalk.yellow(`⚠️  ${size} - the prompt does not fit`),
+          );
+
           const { confirm } = await inquirer.prompt([
             {
               type: "confirm",
@@ -183,7 +476,12 @@ program
           if (confirm) {
             const spinner = ora("Thinking...").start();
             try {
-              const response = await client.generate(finalPrompt);
+              const response = await cancellable((signal) =>
+                client.generate(finalPrompt, {
+                  signal,
+                  template: templateName,
+                }),
+              );
               spinner.stop();
               formatResponse(response);
             } catch (error) {
@@ -266,6 +564,163 @@ program
     }
   });
 
+// Command: Persistent chat sessions
+program
+  .command("chat [action] [id]")
+  .description("Chat with conversation history (actions: list, delete <id>)")
+  .option("-r, --resume <id>", "Resume a saved chat session")
+  .option("-m, --model <model>", "Model to use")
+  .option("--system <prompt>", "System prompt for a new session")
+  .option("-s, --stream", "Enable streaming response")
+  .action(async (action, id, options) => {
+    const store = new ChatSessionStore();
+
+    try {
+      if (action === "list") {
+        const sessions = await store.list();
+        if (sessions.length === 0) {
+          console.log(chalk.yellow("📭 No saved chat sessions."));
+          return;
+        }
+        console.log(chalk.blue("💬 Saved chat sessions:"));
+        sessions.forEach((session) => {
+          console.log(
+            chalk.cyan(`  ${session.id}`) +
+              chalk.white(`  ${session.title || "(empty)"}`) +
+              chalk.gray(
+                `  [${session.messageCount} messages, ${session.model}, ${session.updatedAt}]`,
+              ),
+          );
+        });
+        return;
+      }
+
+      if (action === "delete") {
+        if (!id) {
+          console.error(
+            chalk.red("❌ Please provide the session id to delete"),
+          );
+          return;
+        }
+        await store.delete(id);
+        console.log(chalk.green(`✅ Chat session '${id}' deleted`));
+        return;
+      }
+
+      if (action) {
+        console.error(
+          chalk.red(`❌ Unknown chat action '${action}' (use list or delete)`),
+        );
+        return;
+      }
+
+      // Without --model or a resumed session's model, the routing rules
+      // pick the model
+      const routedModel = client.resolveModel({ command: "chat" });
+      const session = options.resume
+        ? await store.load(options.resume)
+        : store.create({
+            model: options.model || routedModel,
+            apiFormat: client.getApiFormat(),
+            system: options.system,
+          });
+      const model = options.model || (options.resume && session.model);
+
+      console.log(
+        chalk.blue(
+          `💬 Chat session ${session.id} (${client.getApiFormat().toUpperCase()}, ${model || routedModel})`,
+        ),
+      );
+      console.log(
+        chalk.gray(
+          'Type "exit" to quit, "/history" to show the conversation\n',
+        ),
+      );
+
+      if (options.resume) {
+        console.log(
+          chalk.gray(
+            `Resumed "${session.title}" with ${session.messages.length} messages\n`,
+          ),
+        );
+      }
+
+      while (true) {
+        const { input } = await inquirer.prompt([
+          {
+            type: "input",
+            name: "input",
+            message: chalk.green("You:"),
+            validate: (value) =>
+              value.trim() !== "" || "Message cannot be empty",
+          },
+        ]);
+        const text = input.trim();
+
+        if (["exit", "quit", "/exit", "/quit"].includes(text)) {
+          if (session.messages.some((message) => message.role === "user")) {
+            console.log(
+              chalk.gray(
+                `💾 Session saved. Resume with: ai-client chat --resume ${session.id}`,
+              ),
+            );
+          }
+          console.log(chalk.green("👋 Goodbye!"));
+          break;
+        }
+
+        if (text === "/history") {
+          session.messages.forEach((message) => {
+            console.log(chalk.cyan(`[${message.role}]`), message.content);
+          });
+          continue;
+        }
+
+        session.messages.push({ role: "user", content: text });
+
+        try {
+          let reply = "";
+          if (options.stream) {
+            console.log(chalk.blue("AI:"));
+            const writer = createStreamWriter();
+            await cancellable((signal) =>
+              client.chatStream(session.messages, writer.write, {
+                model,
+                signal,
+              }),
+            ).finally(writer.end);
+            reply = writer.text();
+            console.log("\n");
+          } else {
+            const spinner = ora("Thinking...").start();
+            try {
+              const response = await cancellable((signal) =>
+                client.chat(session.messages, { model, signal }),
+              );
+              reply = response.response || "";
+              if (program.opts().showThinking && response.reasoning) {
+                spinner.stop();
+                console.log(chalk.dim(response.reasoning));
+              }
+            } finally {
+              spinner.stop();
+            }
+            console.log(chalk.blue("AI:"), reply, "\n");
+          }
+
+          session.messages.push({ role: "assistant", content: reply });
+          await store.save(session);
+        } catch (error) {
+          // Drop the unanswered prompt so the history stays consistent
+          session.messages.pop();
+          handleError(error);
+        }
+      }
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
 // Command: Send a quick prompt
 program
   .command("ask <prompt>")
@@ -273,42 +728,251 @@ program
   .description("Send a quick prompt")
   .option("-m, --model <model>", "Model to use")
   .option("-s, --stream", "Enable streaming response")
-  .action(async (prompt, options) => {
+  .option("-c, --context <index>", "Answer from a project index (name or file)")
+  .option("-k, --top-k <n>", "Number of excerpts to include", "5")
+  .action(async (question, options) => {
     const spinner = ora("Thinking...").start();
 
     try {
+      let prompt = question;
+      let sources = [];
+      if (options.context) {
+        spinner.text = "Searching the project index...";
+        const index = await ProjectIndex.load(options.context);
+        sources = await cancellable((signal) =>
+          index.search(client, question, {
+            topK: parseInt(options.topK),
+            signal,
+          }),
+        );
+        prompt = ProjectIndex.buildPrompt(question, sources);
+        spinner.text = "Thinking...";
+      }
+
       if (options.stream) {
         spinner.stop();
         console.log(chalk.green("📝 Streaming response:"));
         console.log(chalk.white("─".repeat(50)));
 
-        let fullResponse = "";
-        await client.generateStream(
-          prompt,
-          (chunk) => {
-            if (chunk.response) {
-              process.stdout.write(chunk.response);
-              fullResponse += chunk.response;
-            }
-          },
-          options.model ? { model: options.model } : {},
-        );
+        const writer = createStreamWriter();
+        await cancellable((signal) =>
+          client.generateStream(prompt, writer.write, {
+            model: options.model,
+            signal,
+          }),
+        ).finally(writer.end);
 
         console.log("\n" + chalk.white("─".repeat(50)));
       } else {
-        const response = await client.generate(
-          prompt,
-          options.model ? { model: options.model } : {},
+        const response = await cancellable((signal) =>
+          client.generate(prompt, { model: options.model, signal }),
         );
         spinner.stop();
         formatResponse(response);
       }
+
+      if (sources.length > 0) {
+        console.log(chalk.gray("📚 Sources:"));
+        sources.forEach((chunk) => {
+          console.log(
+            chalk.gray(
+              `   ${ProjectIndex.cite(chunk)} (score ${chunk.score.toFixed(2)})`,
+            ),
+          );
+        });
+      }
     } catch (error) {
       spinner.stop();
       handleError(error);
     }
   });
 
+// Command: Index a project directory
+program
+  .command("index <dir>")
+  .description("Index a project directory for ask --context")
+  .option("-n, --name <name>", "Index name (default: directory name)")
+  .option("-o, --output <file>", "Write the index to this file instead")
+  .option("-m, --model <model>", "Embedding model to use")
+  .option(
+    "-e, --ext <extensions>",
+    "Comma-separated file extensions to index (e.g. .php,.xml)",
+  )
+  .action(async (dir, options) => {
+    const target =
+      options.output || options.name || path.basename(path.resolve(dir));
+    const spinner = ora("Scanning files...").start();
+
+    try {
+      // Reuse the embeddings of unchanged files from an earlier run
+      const previous = await ProjectIndex.load(target).catch(() => undefined);
+      const index = await cancellable((signal) =>
+        ProjectIndex.build(client, dir, {
+          model: options.model,
+          extensions: options.ext
+            ? options.ext.split(",").map((ext) => ext.trim())
+            : undefined,
+          previous,
+          signal,
+          onProgress: ({ done, total }) => {
+            spinner.text = `Embedding chunks... ${done}/${total}`;
+          },
+        }),
+      );
+      const file = await index.save(target);
+      spinner.stop();
+
+      console.log(
+        chalk.green(
+          `✅ Indexed ${Object.keys(index.files).length} files (${index.chunks.length} chunks) with ${index.model}`,
+        ),
+      );
+      console.log(chalk.gray(`   ${file}`));
+      console.log(
+        chalk.blue(`💡 Ask with: ai-client ask --context ${target} "..."`),
+      );
+    } catch (error) {
+      spinner.stop();
+      handleError(error);
+    }
+  });
+
+// Command: Summarize a long document
+program
+  .command("summarize [file]")
+  .alias("sum")
+  .description("Summarize a file (or stdin) of any length")
+  .option("-t, --type <type>", "Summary type", "general")
+  .option("-l, --length <length>", "Target length", "medium")
+  .option("-a, --audience <audience>", "Target audience", "general")
+  .option("-i, --instructions <text>", "Additional instructions")
+  .option("-m, --model <model>", "Model to use")
+  .option("--chunk-tokens <n>", "Tokens per chunk (default: fits the model)")
+  .option("--concurrency <n>", "Chunks summarized in parallel", "4")
+  .option("--restart", "Ignore the progress of an unfinished run")
+  .action(async (file, options) => {
+    let spinner;
+    try {
+      let content;
+      if (file && file !== "-") {
+        content = await require("fs").promises.readFile(file, "utf8");
+      } else if (!process.stdin.isTTY) {
+        content = "";
+        for await (const data of process.stdin) content += data;
+      } else {
+        console.error(chalk.red("❌ Pass a file, or pipe the content in"));
+        return;
+      }
+      if (!content.trim()) {
+        console.error(chalk.red("❌ Nothing to summarize"));
+        return;
+      }
+
+      spinner = ora("Splitting content...").start();
+      const response = await cancellable((signal) =>
+        client.summarize(content, {
+          variables: {
+            type: options.type,
+            length: options.length,
+            audience: options.audience,
+            instructions: options.instructions,
+          },
+          model: options.model,
+          chunkTokens: options.chunkTokens && parseInt(options.chunkTokens),
+          concurrency: parseInt(options.concurrency),
+          resume: !options.restart,
+          signal,
+          onProgress: ({ stage, level, done, total, resumed }) => {
+            const pass = level > 1 ? ` (pass ${level})` : "";
+            spinner.text =
+              stage === "map"
+                ? `Summarizing parts${pass}... ${done}/${total}${resumed ? ` (${resumed} resumed)` : ""}`
+                : "Writing the summary...";
+          },
+        }),
+      );
+      spinner.stop();
+
+      formatResponse(response);
+      if (response.parts > 1) {
+        console.log(
+          chalk.gray(
+            `🧩 Summarized in ${response.parts} parts${response.resumed ? `, ${response.resumed} resumed from an earlier run` : ""}`,
+          ),
+        );
+      }
+    } catch (error) {
+      if (spinner) spinner.stop();
+      handleError(error);
+      if (spinner) {
+        console.log(
+          chalk.gray(
+            "   Run the same command again to continue where it stopped",
+          ),
+        );
+      }
+    }
+  });
+
+// Command: Run a JSONL file of prompts
+program
+  .command("batch <input>")
+  .description("Run the prompts of a JSONL file and write JSONL results")
+  .option(
+    "-o, --output <file>",
+    "Results file (default: <input>.results.jsonl)",
+  )
+  .option("-c, --concurrency <n>", "Requests in flight at the same time", "4")
+  .option("-m, --model <model>", "Model to use (unless a line sets one)")
+  .option(
+    "--restart",
+    "Discard earlier results instead of skipping their lines",
+  )
+  .action(async (input, options) => {
+    const spinner = ora("Reading prompts...").start();
+
+    try {
+      const runner = new BatchRunner(client, {
+        concurrency: parseInt(options.concurrency),
+      });
+      const stats = await cancellable((signal) =>
+        runner.run(input, options.output, {
+          model: options.model,
+          restart: options.restart,
+          signal,
+          onProgress: ({ done, failed, total }) => {
+            spinner.text = `Running prompts... ${done}/${total}${failed ? ` (${failed} failed)` : ""}`;
+          },
+        }),
+      );
+      spinner.stop();
+
+      console.log(
+        chalk.green(`✅ ${stats.completed} completed`) +
+          (stats.failed ? chalk.red(`, ${stats.failed} failed`) : "") +
+          (stats.skipped
+            ? chalk.gray(`, ${stats.skipped} skipped (done in an earlier run)`)
+            : ""),
+      );
+      console.log(chalk.gray(`   ${stats.output}`));
+      if (stats.failed) {
+        console.log(
+          chalk.blue("💡 Run the same command again to retry the failed lines"),
+        );
+      }
+    } catch (error) {
+      spinner.stop();
+      handleError(error);
+      if (error instanceof AbortError) {
+        console.log(
+          chalk.gray(
+            "   Run the same command again to continue where it stopped",
+          ),
+        );
+      }
+    }
+  });
+
 // Command: Use template
 program
   .command("template <name>")
@@ -316,6 +980,7 @@ program
   .description("Use a prompt template")
   .option("-v, --vars <vars>", "Variables in JSON format", "{}")
   .option("-m, --model <model>", "Model to use")
+  .option("--strict", "Fail on variables the template cannot resolve")
   .action(async (name, options) => {
     try {
       let variables = {};
@@ -329,12 +994,18 @@ program
       }
 
       const spinner = ora("Thinking...").start();
-      const response = await client.generateFromTemplate(
-        name,
-        variables,
-        options.model ? { model: options.model } : {},
-      );
-      spinner.stop();
+      let response;
+      try {
+        response = await cancellable((signal) =>
+          client.generateFromTemplate(name, variables, {
+            model: options.model,
+            strict: options.strict,
+            signal,
+          }),
+        );
+      } finally {
+        spinner.stop();
+      }
       formatResponse(response);
     } catch (error) {
       handleError(error);
@@ -370,7 +1041,9 @@ program
 // Command: Test connection
 program
   .command("test")
-  .description("Test connection to AI server (OpenAI/DeepSeek)")
+  .description(
+    "Test connection to AI server (OpenAI/DeepSeek/Ollama/Anthropic)",
+  )
   .action(async () => {
     const spinner = ora("Testing connection...").start();
     try {
@@ -392,6 +1065,93 @@ program
     }
   });
 
+// Command: Token usage and cost report
+program
+  .command("usage")
+  .description("Report token usage and estimated cost")
+  .option("-b, --by <group>", "Group by day, model, template or format", "day")
+  .option("-d, --days <n>", "Only the last n days")
+  .option("--since <date>", "Only requests since this date (YYYY-MM-DD)")
+  .option("--prices <file>", "Prices file (default: ~/.ai-client/prices.json)")
+  .action(async (options) => {
+    try {
+      // Ledger field per --by value
+      const groups = {
+        day: "day",
+        model: "model",
+        template: "template",
+        format: "apiFormat",
+      };
+      const by = groups[options.by];
+      if (!by) {
+        console.error(
+          chalk.red(
+            `❌ Unknown grouping "${options.by}". Use day, model, template or format.`,
+          ),
+        );
+        return;
+      }
+
+      let since = options.since;
+      if (options.days) {
+        since = new Date(Date.now() - parseInt(options.days) * 86400000);
+      }
+      const ledger = new UsageLedger();
+      const entries = await ledger.read({ since });
+      if (entries.length === 0) {
+        console.log(chalk.yellow("📭 No usage recorded yet."));
+        return;
+      }
+
+      const prices = await UsageLedger.loadPrices(options.prices);
+      const rows = UsageLedger.summarize(entries, { by, prices });
+      const [total] = UsageLedger.summarize(entries, { by: null, prices });
+
+      const formatCells = (cells) =>
+        cells
+          .map((cell, i) => (i === 0 ? cell.padEnd(24) : cell.padStart(11)))
+          .join(" ");
+      const formatRow = (row) =>
+        formatCells([
+          row.key,
+          String(row.requests),
+          String(row.prompt_tokens),
+          String(row.completion_tokens),
+          String(row.total_tokens),
+          `${row.latency}ms`,
+          row.cost === null ? "-" : `$${row.cost.toFixed(4)}`,
+        ]);
+
+      console.log(chalk.blue(`📊 Token usage by ${options.by}:`));
+      console.log(
+        chalk.gray(
+          formatCells([
+            options.by,
+            "Requests",
+            "Prompt",
+            "Completion",
+            "Total",
+            "Latency",
+            "Cost",
+          ]),
+        ),
+      );
+      rows.forEach((row) => console.log(formatRow(row)));
+      console.log(chalk.white("─".repeat(96)));
+      console.log(chalk.bold(formatRow(total)));
+
+      if (rows.some((row) => row.cost === null)) {
+        console.log(
+          chalk.gray(
+            `\n💡 "-" means a model has no price. Add prices per million tokens to ${options.prices || "~/.ai-client/prices.json"}, e.g. {"gpt-4o": {"input": 2.5, "output": 10}}`,
+          ),
+        );
+      }
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
 // Command: Magento 2 ticket analysis
 program
   .command("magento2")
@@ -459,46 +1219,63 @@ program
           project_type: projectType,
         };
 
+        // Optional details - the template leaves out the ones left empty
         if (!options.quick) {
-          const { projectContext, storeConfig, customizations } =
-            await inquirer.prompt([
-              {
-                type: "input",
-                name: "projectContext",
-                message: "Project context (optional):",
-                default: "Standard Magento 2 project",
-              },
-              {
-                type: "input",
-                name: "storeConfig",
-                message: "Store configuration (optional):",
-                default: "Single store setup",
-              },
-              {
-                type: "input",
-                name: "customizations",
-                message: "Existing customizations (optional):",
-                default: "Standard customizations",
-              },
-            ]);
+          const {
+            projectContext,
+            storeConfig,
+            customizations,
+            extensions,
+            performance,
+          } = await inquirer.prompt([
+            {
+              type: "input",
+              name: "projectContext",
+              message: "Project context (optional):",
+            },
+            {
+              type: "input",
+              name: "storeConfig",
+              message: "Store configuration (optional):",
+            },
+            {
+              type: "input",
+              name: "customizations",
+              message: "Existing customizations (optional):",
+            },
+            {
+              type: "input",
+              name: "extensions",
+              message: "Third-party extensions (optional):",
+            },
+            {
+              type: "input",
+              name: "performance",
+              message: "Performance requirements (optional):",
+            },
+          ]);
 
           variables = {
             ...variables,
-            ticket_type: ticketType,
+            ticket_type: ticketType === "Unknown" ? "" : ticketType,
             project_context: projectContext,
             store_config: storeConfig,
             existing_customizations: customizations,
-            third_party_extensions: "Standard extensions",
-            performance_requirements: "Standard performance requirements",
+            third_party_extensions: extensions,
+            performance_requirements: performance,
           };
         }
 
-        const response = await client.generateFromTemplate(
-          templateName,
-          variables,
+        const response = await cancellable((signal) =>
+          client.generateFromTemplate(templateName, variables, { signal }),
         );
         spinner.stop();
 
+        if (program.opts().showThinking && response.reasoning) {
+          console.log(chalk.gray("\n🤔 Reasoning:"));
+          console.log(chalk.dim(response.reasoning));
+        }
+
         console.log(chalk.green("\n🎯 Magento 2 Ticket Analysis:"));
         console.log(chalk.white("═".repeat(60)));
         console.log(response.response);
@@ -513,24 +1290,37 @@ program
   });
 
 // Command: Configuration management
-program
+const configCommand = program
   .command("config")
   .alias("c")
-  .description("Manage API configuration (OpenAI/DeepSeek)")
+  .description("Manage API configuration (OpenAI/DeepSeek/Ollama/Anthropic)")
   .option("-s, --show", "Show current configuration")
-  .option("-f, --format <format>", "Switch API format (openai/deepseek)")
+  .option(
+    "-f, --format <format>",
+    `Switch API format (${AIClient.listFormats().join("/")})`,
+  )
   .action(async (options) => {
-    const configHelper = new ConfigHelper();
-
     try {
+      const profile = new ProfileStore().resolve(program.opts().profile);
+      const configHelper = new ConfigHelper({ profile: profile?.config });
+
       if (options.show) {
         console.log(chalk.blue("🔧 Current Configuration:"));
         console.log(chalk.white("─".repeat(40)));
 
         const config = configHelper.getCurrentConfig();
+        console.log(
+          chalk.cyan(`Profile: ${profile ? profile.name : "None (.env)"}`),
+        );
         console.log(chalk.cyan(`API Format: ${config.apiFormat}`));
+        console.log(
+          chalk.gray(
+            `Available formats: ${configHelper.getAvailableFormats().join(", ")}`,
+          ),
+        );
         console.log(chalk.cyan(`Base URL: ${config.baseUrl || "Not set"}`));
         console.log(chalk.cyan(`Model: ${config.model}`));
+        console.log(chalk.cyan(`Embedding model: ${config.embeddingModel}`));
         console.log(chalk.cyan(`Timeout: ${config.timeout}ms`));
 
         const validation = configHelper.validateConfig();
@@ -554,9 +1344,12 @@ program
 
       if (options.format) {
         const format = options.format.toLowerCase();
-        if (!["openai", "deepseek"].includes(format)) {
+        const availableFormats = configHelper.getAvailableFormats();
+        if (!availableFormats.includes(format)) {
           console.log(
-            chalk.red("❌ Format must be either 'openai' or 'deepseek'"),
+            chalk.red(
+              `❌ Format must be one of: ${availableFormats.join(", ")}`,
+            ),
           );
           return;
         }
@@ -621,9 +1414,147 @@ program
     }
   });
 
+// Subcommand: Named configuration profiles
+configCommand
+  .command("profile <action> [name]")
+  .description("Manage named profiles (actions: add, list, use, remove)")
+  .option("--api-format <format>", "API format of the profile (add)")
+  .option("--base-url <url>", "Server URL (add)")
+  .option("--api-key <key>", "API key (add)")
+  .option("--model <model>", "Model name (add)")
+  .option("--embedding-model <model>", "Embedding model (add)")
+  .option("--timeout <ms>", "Request timeout in ms (add)")
+  .action(async (action, name, options) => {
+    const store = new ProfileStore();
+
+    try {
+      if (action === "list") {
+        const profiles = store.list();
+        if (profiles.length === 0) {
+          console.log(
+            chalk.yellow(
+              "📭 No profiles. Add one with: config profile add <name>",
+            ),
+          );
+          return;
+        }
+        console.log(chalk.blue("👤 Profiles:"));
+        profiles.forEach((profile) => {
+          console.log(
+            chalk.cyan(`  ${profile.active ? "●" : " "} ${profile.name}`) +
+              chalk.white(
+                `  ${profile.apiFormat || "-"}  ${profile.baseUrl || "-"}`,
+              ) +
+              chalk.gray(`  ${profile.model || ""}`),
+          );
+        });
+        if (process.env.AI_PROFILE) {
+          console.log(
+            chalk.gray(`\nAI_PROFILE selects '${process.env.AI_PROFILE}'`),
+          );
+        }
+        return;
+      }
+
+      if (!["add", "use", "remove"].includes(action)) {
+        console.error(
+          chalk.red(
+            `❌ Unknown profile action '${action}' (use add, list, use or remove)`,
+          ),
+        );
+        return;
+      }
+      if (!name) {
+        console.error(
+          chalk.red(`❌ Please provide the profile name to ${action}`),
+        );
+        return;
+      }
+
+      if (action === "use") {
+        store.use(name);
+        console.log(chalk.green(`✅ '${name}' is now the default profile`));
+        return;
+      }
+
+      if (action === "remove") {
+        store.remove(name);
+        console.log(chalk.green(`✅ Profile '${name}' removed`));
+        return;
+      }
+
+      // Ask for the settings that were not passed as options, suggesting
+      // the current .env values
+      const current = new ConfigHelper().getCurrentConfig();
+      const answers = await inquirer.prompt([
+        {
+          type: "list",
+          name: "apiFormat",
+          message: "API format:",
+          choices: AIClient.listFormats(),
+          default: current.apiFormat,
+          when: !options.apiFormat,
+        },
+        {
+          type: "input",
+          name: "baseUrl",
+          message: "Server URL:",
+          default: current.baseUrl,
+          validate: (input) => input.trim() !== "" || "URL is required",
+          when: !options.baseUrl,
+        },
+        {
+          type: "password",
+          name: "token",
+          message: "API key/token:",
+          mask: "*",
+          validate: (input) => input.trim() !== "" || "API key is required",
+          when: !options.apiKey,
+        },
+        {
+          type: "input",
+          name: "model",
+          message: "Model name:",
+          default: current.model,
+          when: !options.model,
+        },
+      ]);
+
+      const profile = {
+        apiFormat: (options.apiFormat || answers.apiFormat).toLowerCase(),
+        baseUrl: options.baseUrl || answers.baseUrl,
+        token: options.apiKey || answers.token,
+        model: options.model || answers.model,
+      };
+      if (!AIClient.listFormats().includes(profile.apiFormat)) {
+        console.error(
+          chalk.red(
+            `❌ Format must be one of: ${AIClient.listFormats().join(", ")}`,
+          ),
+        );
+        return;
+      }
+      if (options.embeddingModel)
+        profile.embeddingModel = options.embeddingModel;
+      if (options.timeout) profile.timeout = parseInt(options.timeout);
+
+      store.add(name, profile);
+      console.log(chalk.green(`✅ Profile '${name}' saved to ${store.file}`));
+      console.log(
+        chalk.blue(
+          `💡 Use it with --profile ${name}, or make it the default: config profile use ${name}`,
+        ),
+      );
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
 // Default command
 program
-  .description("AI Client - Compatible with OpenAI and DeepSeek APIs")
+  .description(
+    "AI Client - Compatible with OpenAI, DeepSeek, Ollama and Anthropic APIs",
+  )
   .version("1.0.0");
 
 // If no command is provided, start interactive mode
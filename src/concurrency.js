@@ -0,0 +1,47 @@
+const { AbortError } = require("./errors");
+
+/**
+ * Run an async function over a list with at most `concurrency` calls in
+ * flight. Results keep the input order. After the first failure no new calls
+ * are started; the calls already running are awaited, then the error is
+ * thrown.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum calls in flight
+ * @param {function} fn - Called with (item, index); may return a promise
+ * @param {object} options - Options
+ * @param {AbortSignal} options.signal - Stops starting new calls when aborted
+ * @returns {Promise<Array>} - The results, in input order
+ */
+async function mapConcurrent(items, concurrency, fn, options = {}) {
+  const { signal } = options;
+  const results = new Array(items.length);
+  let next = 0;
+  let failure;
+
+  const worker = async () => {
+    while (!failure && next < items.length) {
+      if (signal?.aborted) {
+        failure = failure || {
+          error: new AbortError("Request aborted", { code: "ABORT_ERR" }),
+        };
+        return;
+      }
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failure = failure || { error };
+      }
+    }
+  };
+
+  const workers = Math.max(1, Math.min(concurrency || 1, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+
+  if (failure) {
+    throw failure.error;
+  }
+  return results;
+}
+
+module.exports = { mapConcurrent };
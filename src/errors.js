@@ -0,0 +1,136 @@
+/**
+ * Base class for every error thrown by AIClient
+ */
+class AIClientError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object} details - Error details
+   * @param {number} details.status - HTTP status, if the server answered
+   * @param {string} details.code - Provider error code/type (e.g. 'rate_limit_exceeded') or network error code
+   * @param {string} details.requestId - Provider request id, for support tickets
+   * @param {*} details.body - Raw response body
+   * @param {Error} details.cause - Underlying error
+   */
+  constructor(message, { status, code, requestId, body, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.requestId = requestId;
+    this.body = body;
+    if (cause) this.cause = cause;
+  }
+}
+
+/** The request could not be built (invalid messages, options, ...) */
+class RequestError extends AIClientError {}
+
+/** The server could not be reached */
+class NetworkError extends AIClientError {}
+
+/** The request timed out, on the client or on a gateway */
+class TimeoutError extends NetworkError {}
+
+/** The server answered with an error status */
+class APIError extends AIClientError {}
+
+/** Missing, invalid or unauthorized API key (401/403) */
+class AuthenticationError extends APIError {}
+
+/** Too many requests (429) */
+class RateLimitError extends APIError {
+  constructor(message, details = {}) {
+    super(message, details);
+    // Delay requested by the server in ms, if any
+    this.retryAfter = details.retryAfter;
+  }
+}
+
+/** The requested model does not exist on the server */
+class ModelNotFoundError extends APIError {}
+
+/** The prompt (plus max_tokens) does not fit in the model's context window */
+class ContextLengthError extends APIError {}
+
+/** The stream broke or the server sent an error event mid-stream */
+class StreamError extends AIClientError {}
+
+/** The request was cancelled through its AbortSignal */
+class AbortError extends AIClientError {}
+
+/** The model kept calling tools past the maxToolIterations limit */
+class ToolError extends AIClientError {}
+
+/** The model's answer was not valid JSON matching the requested schema */
+class ValidationError extends AIClientError {
+  constructor(message, details = {}) {
+    super(message, details);
+    // Problems found in the last answer, e.g. "/fields must be array"
+    this.errors = details.errors || [];
+  }
+}
+
+/** A prompt template has a syntax error, a missing partial, or (in strict mode) an unresolved variable */
+class TemplateError extends AIClientError {}
+
+const CONTEXT_LENGTH_PATTERN =
+  /context[ _](length|window)|maximum context|too many tokens|prompt is too long|exceeds? (the )?(maximum|max) (input|context)/i;
+
+/**
+ * Create the typed error matching an API error response
+ * @param {object} details - Parsed error response
+ * @param {number} details.status - HTTP status
+ * @param {string} details.message - Provider error message
+ * @param {string} details.code - Provider error code/type
+ * @param {string} details.requestId - Provider request id
+ * @param {*} details.body - Raw response body
+ * @param {number} details.retryAfter - Retry-After delay in ms
+ * @param {Error} details.cause - Underlying error
+ * @returns {APIError}
+ */
+function createAPIError(details) {
+  const { status, message, code } = details;
+  const text = `API Error: ${status} - ${message}`;
+
+  if (status === 401 || status === 403) {
+    return new AuthenticationError(text, details);
+  }
+  if (status === 429) {
+    return new RateLimitError(text, details);
+  }
+  if (status === 408 || status === 504) {
+    return new TimeoutError(text, details);
+  }
+  if (
+    code === "context_length_exceeded" ||
+    ((status === 400 || status === 413) &&
+      CONTEXT_LENGTH_PATTERN.test(message || ""))
+  ) {
+    return new ContextLengthError(text, details);
+  }
+  if (
+    code === "model_not_found" ||
+    (status === 404 && /model/i.test(message || ""))
+  ) {
+    return new ModelNotFoundError(text, details);
+  }
+  return new APIError(text, details);
+}
+
+module.exports = {
+  AIClientError,
+  RequestError,
+  NetworkError,
+  TimeoutError,
+  APIError,
+  AuthenticationError,
+  RateLimitError,
+  ModelNotFoundError,
+  ContextLengthError,
+  StreamError,
+  AbortError,
+  ToolError,
+  ValidationError,
+  TemplateError,
+  createAPIError,
+};
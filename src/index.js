@@ -1,4 +1,16 @@
 const AIClient = require("./AIClient");
+const { FormatAdapter } = require("./adapters");
+const BatchRunner = require("./BatchRunner");
+const ProfileStore = require("./ProfileStore");
+const ProjectIndex = require("./ProjectIndex");
+const RateLimiter = require("./RateLimiter");
+const ResponseCache = require("./ResponseCache");
+const Summarizer = require("./Summarizer");
+const TemplateEngine = require("./TemplateEngine");
+const TokenEstimator = require("./TokenEstimator");
+const ToolRegistry = require("./ToolRegistry");
+const UsageLedger = require("./UsageLedger");
+const errors = require("./errors");
 
 module.exports = AIClient;
 
@@ -6,6 +18,42 @@ module.exports = AIClient;
 module.exports.AIClient = AIClient;
 module.exports.default = AIClient;
 
+// Base class for custom API formats (see AIClient.registerFormat)
+module.exports.FormatAdapter = FormatAdapter;
+
+// Tools the model can call (see the `tools` option of chat())
+module.exports.ToolRegistry = ToolRegistry;
+
+// Named configurations in ~/.ai-client/config.json (see the `profile` option)
+module.exports.ProfileStore = ProfileStore;
+
+// Local vector index of a project directory (see `ai-client index`)
+module.exports.ProjectIndex = ProjectIndex;
+
+// Client-side request and token rate limits (see the `rateLimit` option)
+module.exports.RateLimiter = RateLimiter;
+
+// Disk-backed response cache (see the `cache` option)
+module.exports.ResponseCache = ResponseCache;
+
+// JSONL batches of prompts with a concurrency limit (see `ai-client batch`)
+module.exports.BatchRunner = BatchRunner;
+
+// Map-reduce summarization of long content (see `summarize()`)
+module.exports.Summarizer = Summarizer;
+
+// Prompt template rendering (see `replaceTemplateVariables()`)
+module.exports.TemplateEngine = TemplateEngine;
+
+// Token counting and context window sizes (see `estimateTokens()`)
+module.exports.TokenEstimator = TokenEstimator;
+
+// Token usage log (see the `usageLedger` option and `ai-client usage`)
+module.exports.UsageLedger = UsageLedger;
+
+// Error classes, e.g. `error instanceof AIClient.RateLimitError`
+Object.assign(module.exports, errors);
+
 // Backward compatibility
 module.exports.DeepSeekClient = AIClient;
 
@@ -0,0 +1,18 @@
+/**
+ * Add up the token usage of several responses
+ * @param {object|undefined} total - Usage so far
+ * @param {object|undefined} usage - Usage of the next response
+ * @returns {object|undefined} - The sum, without changing either argument
+ */
+function addUsage(total, usage) {
+  if (!usage) return total;
+  if (!total) return { ...usage };
+
+  const sum = { ...total };
+  for (const key of ["prompt_tokens", "completion_tokens", "total_tokens"]) {
+    if (usage[key] !== undefined) sum[key] = (sum[key] || 0) + usage[key];
+  }
+  return sum;
+}
+
+module.exports = { addUsage };
@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const AIClient = require("../src/AIClient");
+const ReasoningParser = require("../src/ReasoningParser");
+
+// Split chunks the way a stream does, aggregating like the client
+function stream(chunks) {
+  const parser = new ReasoningParser();
+  const result = { reasoning: "", response: "", retracted: 0 };
+  for (const part of [
+    ...chunks.map((chunk) => parser.push(chunk)),
+    parser.flush(),
+  ]) {
+    if (part.retracted) {
+      result.reasoning += result.response;
+      result.response = "";
+      result.retracted++;
+    }
+    result.reasoning += part.reasoning;
+    result.response += part.response;
+  }
+  return result;
+}
+
+test("splits a <think> block at the start of the output", () => {
+  assert.deepStrictEqual(
+    ReasoningParser.split("<think>why</think>\n\nBecause."),
+    {
+      reasoning: "why",
+      response: "Because.",
+    },
+  );
+});
+
+test("treats text before a lone </think> line as reasoning", () => {
+  assert.deepStrictEqual(ReasoningParser.split("why\n</think>\n\nBecause."), {
+    reasoning: "why",
+    response: "Because.",
+  });
+});
+
+test("leaves a </think> within a line of the answer alone", () => {
+  const text =
+    "To close the block, the model emits </think> and then the answer.";
+  assert.deepStrictEqual(ReasoningParser.split(text), {
+    reasoning: "",
+    response: text,
+  });
+});
+
+test("leaves a lone </think> alone when the reasoning came separately", () => {
+  const text = "why\n</think>\nBecause.";
+  assert.deepStrictEqual(
+    ReasoningParser.split(text, { reasoningEnded: true }),
+    { reasoning: "", response: text },
+  );
+});
+
+test("retracts the streamed answer at a lone </think> split across chunks", () => {
+  const result = stream(["Let me ", "think\n</th", "ink>\n\nThe ans", "wer"]);
+  assert.strictEqual(result.reasoning, "Let me think\n");
+  assert.strictEqual(result.response, "The answer");
+  assert.strictEqual(result.retracted, 1);
+});
+
+test("streams a </think> within a line as answer text", () => {
+  const result = stream(["Mention ", "</think> inline", "\nand go on"]);
+  assert.strictEqual(result.reasoning, "");
+  assert.strictEqual(result.response, "Mention </think> inline\nand go on");
+  assert.strictEqual(result.retracted, 0);
+});
+
+test("chatStream() moves retracted answer text to the reasoning", async () => {
+  const parts = ["Let me ", "think\n</th", "ink>\n\nThe ans", "wer"];
+  const server = http.createServer((request, response) => {
+    for (const content of parts) {
+      response.write(
+        JSON.stringify({ model: "r1", message: { content }, done: false }) +
+          "\n",
+      );
+    }
+    response.end(
+      JSON.stringify({ model: "r1", message: { content: "" }, done: true }) +
+        "\n",
+    );
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  try {
+    const client = new AIClient({
+      apiFormat: "ollama",
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      token: "test",
+      model: "r1",
+      retry: false,
+    });
+    const chunks = [];
+    const result = await client.chatStream(
+      [{ role: "user", content: "Why?" }],
+      (chunk) => chunks.push(chunk),
+    );
+    assert.strictEqual(result.reasoning, "Let me think\n");
+    assert.strictEqual(result.response, "The answer");
+    assert.strictEqual(chunks.filter((chunk) => chunk.retracted).length, 1);
+  } finally {
+    server.close();
+  }
+});